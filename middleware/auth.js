@@ -1,6 +1,6 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/sessions');
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
   // Get token from header
   const token = req.header('Authorization')?.replace('Bearer ', '');
 
@@ -9,12 +9,18 @@ module.exports = (req, res, next) => {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
 
+  let decoded;
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
-    req.user = decoded;
-    next();
+    // Verify token and that its session hasn't been revoked
+    decoded = await verifyAccessToken(token);
   } catch (error) {
-    res.status(401).json({ message: 'Token is not valid' });
+    console.error('Error verifying token:', error);
+    return res.status(500).json({ message: 'Server error' });
   }
-}; 
\ No newline at end of file
+
+  if (!decoded) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+  req.user = decoded;
+  next();
+};
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 5000
+    },
+    // Users @mentioned in the body
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    editedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Index for reading a task's thread in order
+commentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
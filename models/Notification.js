@@ -9,27 +9,76 @@ const notificationSchema = new mongoose.Schema({
     task: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Task',
-        required: true
+        // Overdue sweeps and digests summarise many tasks
+        required: function() {
+            return !['overdue', 'digest'].includes(this.type);
+        }
     },
     type: {
         type: String,
-        enum: ['reminder', 'status_update', 'due_soon'],
+        enum: ['reminder', 'status_update', 'due_soon', 'overdue', 'unblocked', 'digest', 'assigned', 'unassigned', 'mention'],
         required: true
     },
     message: {
         type: String,
         required: true
     },
+    // Structured content for clients, e.g. the task groups of a digest
+    data: {
+        type: mongoose.Schema.Types.Mixed
+    },
     read: {
         type: Boolean,
         default: false
     },
+    // When the notification was meant to go out, e.g. a reminder's due time
+    scheduledFor: {
+        type: Date
+    },
+    // When the server emitted it
+    sentAt: {
+        type: Date
+    },
+    // When one of the user's clients acknowledged receiving it; until then it
+    // is replayed whenever they connect
+    deliveredAt: {
+        type: Date
+    },
+    // False when the user's settings sent it by email only
+    inApp: {
+        type: Boolean,
+        default: true
+    },
+    readAt: {
+        type: Date
+    },
+    // When a push service accepted it for at least one of the user's devices
+    pushedAt: {
+        type: Date
+    },
+    // When it was handed to the mail server, for users who get email
+    emailedAt: {
+        type: Date
+    },
+    reminderJob: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReminderJob'
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+// Index for the notification list, which pages newest first
+notificationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ user: 1, read: 1 });
+// Index for replaying undelivered notifications on connect
+notificationSchema.index({ user: 1, deliveredAt: 1, createdAt: -1 });
+
+// One notification per reminder job, so a retried delivery never duplicates it
+notificationSchema.index({ reminderJob: 1 }, { unique: true, sparse: true });
+
 const Notification = mongoose.model('Notification', notificationSchema);
 
 module.exports = Notification; 
\ No newline at end of file
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['owner', 'editor', 'viewer'],
+        default: 'viewer'
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    role: {
+        type: String,
+        enum: ['editor', 'viewer'],
+        default: 'editor'
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const projectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    members: [memberSchema],
+    // Pending invitations; accepting one turns it into a member
+    invitations: [invitationSchema]
+}, {
+    timestamps: true
+});
+
+// Index for membership lookups and pending invitations by email
+projectSchema.index({ 'members.user': 1 });
+projectSchema.index({ 'invitations.email': 1 });
+
+module.exports = mongoose.model('Project', projectSchema);
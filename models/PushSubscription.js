@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+function isHttpsUrl(value) {
+    try {
+        return new URL(value).protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+// A browser's Web Push subscription; each device a user enables push on has one
+const pushSubscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    endpoint: {
+        type: String,
+        required: true,
+        validate: {
+            validator: isHttpsUrl,
+            message: 'Endpoint must be an https URL'
+        }
+    },
+    keys: {
+        p256dh: {
+            type: String,
+            required: true
+        },
+        auth: {
+            type: String,
+            required: true
+        }
+    },
+    expirationTime: {
+        type: Date
+    },
+    userAgent: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// The push service identifies a subscription by its endpoint
+pushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+pushSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
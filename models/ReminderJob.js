@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const reminderJobSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['reminder'],
+        default: 'reminder'
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    runAt: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lockedBy: {
+        type: String
+    },
+    lockedAt: {
+        type: Date
+    },
+    lastError: {
+        type: String
+    },
+    completedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Index for the worker's claim query and per-task cancellation
+reminderJobSchema.index({ status: 1, runAt: 1 });
+reminderJobSchema.index({ task: 1, status: 1 });
+
+module.exports = mongoose.model('ReminderJob', reminderJobSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens name their session, so revoking it cuts
+// the device off; the refresh token is rotated on every use
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // SHA-256 of the current refresh token's secret part
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // The token it replaced; presenting it again means a copy was stolen
+    previousTokenHash: {
+        type: String
+    },
+    deviceName: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
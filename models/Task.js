@@ -1,5 +1,97 @@
 const mongoose = require('mongoose');
 
+const recurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly', 'yearly'],
+        required: true
+    },
+    interval: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    // Days of the week for weekly rules, 0 = Sunday
+    byWeekday: [{
+        type: Number,
+        min: 0,
+        max: 6
+    }],
+    until: {
+        type: Date
+    },
+    count: {
+        type: Number,
+        min: 1
+    },
+    // Occurrence dates to skip
+    exceptions: [{
+        type: Date
+    }]
+}, { _id: false });
+
+const subtaskSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'completed'],
+        default: 'pending'
+    },
+    dueDate: {
+        type: Date
+    },
+    order: {
+        type: Number,
+        default: 0
+    },
+    completedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+const checklistItemSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    done: {
+        type: Boolean,
+        default: false
+    },
+    order: {
+        type: Number,
+        default: 0
+    }
+});
+
+const assignmentSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    action: {
+        type: String,
+        enum: ['assigned', 'unassigned'],
+        required: true
+    },
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const taskSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -28,26 +120,119 @@ const taskSchema = new mongoose.Schema({
         type: String,
         default: 'general'
     },
+    // Used by the planner to size time blocks
+    estimatedMinutes: {
+        type: Number,
+        min: 1
+    },
+    // Creator of the task
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    // Users responsible for the task; when there are none, the creator is
+    assignees: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Every assignment change, oldest first
+    assignmentHistory: [assignmentSchema],
+    // Shared project the task belongs to; personal tasks have none
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
+    },
     completedAt: {
         type: Date
     },
     aiSuggestions: [{
         type: String
     }],
+    // Tasks that must be completed before this one can start
+    dependsOn: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task'
+    }],
+    subtasks: [subtaskSchema],
+    checklist: [checklistItemSchema],
+    // Absolute reminder time
     reminderTime: {
         type: Date
+    },
+    // Minutes before the due date; overrides the user's default offsets when set
+    reminderOffsets: {
+        type: [{ type: Number, min: 1, max: 30 * 24 * 60 }],
+        default: undefined
+    },
+    recurrence: {
+        type: recurrenceSchema,
+        default: undefined
+    },
+    // Occurrences of a recurring task share the id of the first one
+    seriesId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    occurrenceIndex: {
+        type: Number,
+        default: 0
+    },
+    // Date the rule generated for this occurrence, before any one-off move
+    occurrenceDate: {
+        type: Date
+    },
+    // UID of the calendar entry the task was imported from
+    icalUid: {
+        type: String
+    },
+    // Set while the task is in the trash
+    deletedAt: {
+        type: Date
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
 });
 
+// Progress across subtasks and checklist items
+taskSchema.virtual('progress').get(function() {
+    const subtasks = this.subtasks || [];
+    const checklist = this.checklist || [];
+    const total = subtasks.length + checklist.length;
+    const completed = subtasks.filter(subtask => subtask.status === 'completed').length +
+        checklist.filter(item => item.done).length;
+
+    return {
+        completed,
+        total,
+        percent: total === 0 ? 0 : Math.round((completed / total) * 100)
+    };
+});
+
+// Trashed tasks are left out of queries unless they filter on deletedAt
+// themselves or set the withDeleted option
+taskSchema.pre(
+    ['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'],
+    function() {
+        if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+        this.where({ deletedAt: null });
+    }
+);
+
 // Index for faster queries
 taskSchema.index({ user: 1, dueDate: 1 });
 taskSchema.index({ status: 1, user: 1 });
+taskSchema.index({ seriesId: 1, occurrenceIndex: 1 });
+taskSchema.index({ dependsOn: 1 });
+taskSchema.index({ project: 1, dueDate: 1 });
+taskSchema.index({ assignees: 1, dueDate: 1 });
+taskSchema.index({ deletedAt: 1 });
+taskSchema.index({ user: 1, icalUid: 1 });
+taskSchema.index({ title: 'text', description: 'text' });
 
 module.exports = mongoose.model('Task', taskSchema); 
\ No newline at end of file
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only record of one change to a task; versions count up from 1 (creation)
+const taskHistorySchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    // Missing for changes the system made on its own
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'revert'],
+        default: 'update'
+    },
+    source: {
+        type: String,
+        enum: ['api', 'bulk', 'scheduler', 'ai', 'import'],
+        default: 'api'
+    },
+    // Version a revert went back to
+    revertedTo: {
+        type: Number
+    },
+    changes: [changeSchema],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One entry per version of a task
+taskHistorySchema.index({ task: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('TaskHistory', taskHistorySchema);
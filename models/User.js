@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Notification = require('./Notification');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema(
   {
@@ -19,6 +21,39 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // IANA time zone used for scheduling and formatting notifications
+    timezone: {
+      type: String,
+      default: "UTC",
+      validate: {
+        validator: isValidTimeZone,
+        message: "Invalid time zone",
+      },
+    },
+    // Hours the planner may schedule tasks into, in the user's time zone
+    workingHours: {
+      // 0 = Sunday
+      days: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: [1, 2, 3, 4, 5],
+      },
+      start: {
+        type: String,
+        default: "09:00",
+        match: /^([01]\d|2[0-3]):[0-5]\d$/,
+      },
+      end: {
+        type: String,
+        default: "17:00",
+        match: /^([01]\d|2[0-3]):[0-5]\d$/,
+      },
+    },
+    // SHA-256 of the secret token in the user's calendar feed URL
+    calendarTokenHash: {
+      type: String,
+      select: false,
+      index: { unique: true, sparse: true },
+    },
     notificationSettings: {
       enabled: {
         type: Boolean,
@@ -35,6 +70,73 @@ const userSchema = new mongoose.Schema(
         min: 1,
         max: 24,
       },
+      // Minutes before the due date, e.g. [1440, 120, 15]; takes precedence
+      // over reminderTime when non-empty
+      reminderOffsets: {
+        type: [{ type: Number, min: 1, max: 30 * 24 * 60 }],
+        default: undefined,
+      },
+      // Reminders inside this local window wait until it ends, except for
+      // high priority tasks
+      quietHours: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        start: {
+          type: String,
+          default: "22:00",
+          match: /^([01]\d|2[0-3]):[0-5]\d$/,
+        },
+        end: {
+          type: String,
+          default: "07:00",
+          match: /^([01]\d|2[0-3]):[0-5]\d$/,
+        },
+      },
+      // Where notifications go: the app, email or both
+      channel: {
+        type: String,
+        enum: ["in_app", "email", "both"],
+        default: "in_app",
+      },
+      // Notification types never sent by email, e.g. after unsubscribing
+      emailOptOuts: {
+        type: [{ type: String, enum: Notification.schema.path("type").enumValues }],
+        default: [],
+      },
+      // Summary of overdue, due-today and upcoming tasks at a local time
+      digest: {
+        daily: {
+          enabled: {
+            type: Boolean,
+            default: false,
+          },
+          time: {
+            type: String,
+            default: "09:00",
+            match: /^([01]\d|2[0-3]):[0-5]\d$/,
+          },
+        },
+        weekly: {
+          enabled: {
+            type: Boolean,
+            default: false,
+          },
+          // 0 = Sunday
+          day: {
+            type: Number,
+            default: 1,
+            min: 0,
+            max: 6,
+          },
+          time: {
+            type: String,
+            default: "09:00",
+            match: /^([01]\d|2[0-3]):[0-5]\d$/,
+          },
+        },
+      },
     },
   },
   {
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = [
+    'task.created',
+    'task.updated',
+    'task.completed',
+    'task.deleted',
+    'reminder.fired',
+    'task.overdue'
+];
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+const webhookSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    url: {
+        type: String,
+        required: true,
+        trim: true,
+        validate: {
+            validator: isHttpUrl,
+            message: 'URL must be an http or https address'
+        }
+    },
+    // Signs every delivery; only shown when the webhook is created or rotated
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: WEBHOOK_EVENTS
+        }],
+        validate: {
+            validator: events => events.length > 0,
+            message: 'Subscribe to at least one event'
+        }
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 200
+    },
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Index for finding the hooks to fan an event out to
+webhookSchema.index({ user: 1, active: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
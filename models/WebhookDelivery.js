@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedBy: {
+        type: String
+    },
+    lockedAt: {
+        type: Date
+    },
+    responseStatus: {
+        type: Number
+    },
+    lastError: {
+        type: String
+    },
+    deliveredAt: {
+        type: Date
+    },
+    // Set on a manual redelivery of an earlier delivery
+    redeliveryOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery'
+    }
+}, {
+    timestamps: true
+});
+
+// Index for the worker's claim query and a webhook's delivery log
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const {
+  ICalError,
+  buildCalendar,
+  parseCalendar,
+  parseTaskUid,
+} = require('../utils/ical');
+const { responsibleFilter } = require('../utils/assignments');
+const { findAccessibleTask } = require('../utils/permissions');
+const { getReminderOffsets } = require('../utils/reminders');
+const { snapshotTask, recordChanges } = require('../utils/taskHistory');
+const { emitTaskEvent } = require('../utils/taskEvents');
+const { updateDependents } = require('../utils/dependencies');
+
+const MAX_IMPORT_ITEMS = 1000;
+const MAX_IMPORT_SIZE = '2mb';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function feedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`;
+}
+
+// The task an imported entry updates: one of ours by the UID we exported, or
+// one imported earlier with the same UID
+async function findImportTarget(userId, uid) {
+  if (!uid) return null;
+
+  const taskId = parseTaskUid(uid);
+  if (taskId) {
+    const { task } = await findAccessibleTask(taskId, userId, 'editor');
+    if (task) return task;
+  }
+  return Task.findOne({ user: userId, icalUid: uid });
+}
+
+// Alarms the feed exported from the user's default reminders shouldn't be
+// pinned onto the task when it comes back
+function dropDefaultReminders(fields, task, user) {
+  if (!fields.reminderOffsets) return;
+  const defaults = getReminderOffsets({ priority: fields.priority || task?.priority || 'medium' }, user);
+  const offsets = fields.reminderOffsets;
+  if (offsets.length === defaults.length && offsets.every((minutes) => defaults.includes(minutes))) {
+    delete fields.reminderOffsets;
+  }
+}
+
+// Create or rotate the secret calendar feed URL. The token is only shown once
+router.post('/token', auth, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    await User.updateOne({ _id: req.user.userId }, { calendarTokenHash: hashToken(token) });
+    res.status(201).json({ url: feedUrl(req, token) });
+  } catch (error) {
+    console.error('Error creating calendar token:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn the calendar feed off
+router.delete('/token', auth, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.userId }, { $unset: { calendarTokenHash: 1 } });
+    res.json({ message: 'Calendar feed disabled' });
+  } catch (error) {
+    console.error('Error revoking calendar token:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// iCalendar subscription feed of the tasks the user is responsible for. The
+// token in the URL stands in for authentication, since calendar apps can't
+// log in. Tasks are events by default; ?type=todo lists them as VTODOs
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarTokenHash: hashToken(req.params.token) });
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+
+    const type = req.query.type === 'todo' ? 'todo' : 'event';
+    const tasks = await Task.find(responsibleFilter(user._id)).sort({ dueDate: 1 });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(buildCalendar(tasks, { user, type, name: `${user.name}'s tasks` }));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import tasks from an .ics file, sent as text/calendar or as { ics } JSON.
+// Entries whose UID was imported or exported before update that task
+router.post(
+  '/import',
+  auth,
+  express.text({ type: ['text/calendar', 'text/plain'], limit: MAX_IMPORT_SIZE }),
+  express.json({ limit: MAX_IMPORT_SIZE }),
+  async (req, res) => {
+    try {
+      const text = typeof req.body === 'string' ? req.body : req.body?.ics;
+      if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ message: 'Send an .ics file as text/calendar or as { ics }' });
+      }
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const { items, errors } = parseCalendar(text, { timeZone: user.timezone });
+      if (items.length > MAX_IMPORT_ITEMS) {
+        return res.status(400).json({ message: `At most ${MAX_IMPORT_ITEMS} entries per import` });
+      }
+
+      const created = [];
+      const updated = [];
+      const previousStatuses = new Map();
+      const skipped = [...errors];
+      for (const { uid, fields } of items) {
+        try {
+          const existing = await findImportTarget(req.user.userId, uid);
+          dropDefaultReminders(fields, existing, user);
+
+          if (existing) {
+            const before = snapshotTask(existing);
+            previousStatuses.set(existing, existing.status);
+            existing.set(fields);
+            await existing.save();
+            await recordChanges(existing, before, { user: req.user.userId, source: 'import' });
+            updated.push(existing);
+          } else {
+            const task = new Task({ ...fields, user: req.user.userId, icalUid: uid || undefined });
+            await task.save();
+            await recordChanges(task, null, { user: req.user.userId, source: 'import' });
+            created.push(task);
+          }
+        } catch (error) {
+          if (error.name !== 'ValidationError' && error.name !== 'CastError') throw error;
+          skipped.push({ uid, error: error.message });
+        }
+      }
+
+      // One scheduler pass for the whole import
+      const taskScheduler = req.app.get('taskScheduler');
+      await taskScheduler.rescheduleTasks([...created, ...updated].map((task) => task._id));
+
+      created.forEach((task) => emitTaskEvent(req.app, task, 'taskCreated'));
+      updated.forEach((task) => emitTaskEvent(req.app, task, 'taskUpdated'));
+
+      // Completing or reopening a task by import unblocks or blocks its
+      // dependents as usual. Imports don't advance recurring series
+      for (const task of created.filter((imported) => imported.status === 'completed')) {
+        await updateDependents(req.app, task, null);
+      }
+      for (const task of updated) {
+        if (task.status !== previousStatuses.get(task)) {
+          await updateDependents(req.app, task, previousStatuses.get(task));
+        }
+      }
+
+      res.json({ created: created.length, updated: updated.length, skipped });
+    } catch (error) {
+      if (error instanceof ICalError) {
+        return res.status(400).json({ message: `Invalid iCalendar file: ${error.message}` });
+      }
+      console.error('Error importing calendar:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
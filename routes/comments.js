@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { findAccessibleTask, sendAccessError } = require('../utils/permissions');
+const { resolveMentions } = require('../utils/mentions');
+const { taskViewRoom } = require('../utils/taskEvents');
+
+// Mounted under /api/tasks/:id, so req.params.id is the task being discussed
+
+function handleError(res, error, label) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`Error ${label}:`, error);
+  res.status(500).json({ message: 'Server error' });
+}
+
+// Set the comment's mentions from its body
+async function setMentions(task, comment) {
+  const mentioned = await resolveMentions(task, comment.body);
+  comment.mentions = mentioned.map((user) => user._id);
+}
+
+// Notify mentioned users not notified before. Call once the comment is saved,
+// so nobody is told about a comment that failed to save
+async function notifyMentions(req, task, comment, previous = []) {
+  const notified = new Set(previous.map((id) => id.toString()));
+  const recipients = comment.mentions.filter((id) =>
+    !notified.has(id.toString()) && id.toString() !== req.user.userId
+  );
+  if (recipients.length === 0) return;
+
+  const author = await User.findById(req.user.userId).select('name');
+  await req.app.get('taskScheduler').notifyMention(task, comment, recipients, author.name);
+}
+
+// Send a comment event to everyone who has the task open
+function emitCommentEvent(req, event, payload) {
+  req.app.get('io').to(taskViewRoom(req.params.id)).emit(event, payload);
+}
+
+// Get a task's comments, oldest first
+router.get('/comments', auth, async (req, res) => {
+  try {
+    const { task, status } = await findAccessibleTask(req.params.id, req.user.userId, 'viewer');
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+
+    const comments = await Comment.find({ task: task._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('author', 'name email');
+    res.json(comments);
+  } catch (error) {
+    handleError(res, error, 'getting comments');
+  }
+});
+
+// Add a comment. Anyone who can see the task may join the discussion
+router.post('/comments', auth, async (req, res) => {
+  try {
+    const { task, status } = await findAccessibleTask(req.params.id, req.user.userId, 'viewer');
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+
+    const comment = new Comment({
+      task: task._id,
+      author: req.user.userId,
+      body: req.body.body,
+    });
+    await comment.validate();
+    await setMentions(task, comment);
+    await comment.save();
+    await notifyMentions(req, task, comment);
+    await comment.populate('author', 'name email');
+
+    emitCommentEvent(req, 'commentCreated', comment);
+
+    res.status(201).json(comment);
+  } catch (error) {
+    handleError(res, error, 'adding comment');
+  }
+});
+
+// Edit a comment (its author only)
+router.patch('/comments/:commentId', auth, async (req, res) => {
+  try {
+    const { task, status } = await findAccessibleTask(req.params.id, req.user.userId, 'viewer');
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    if (comment.author.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'You can only edit your own comments' });
+    }
+
+    const previousMentions = comment.mentions;
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    await comment.validate();
+    await setMentions(task, comment);
+    await comment.save();
+    await notifyMentions(req, task, comment, previousMentions);
+    await comment.populate('author', 'name email');
+
+    emitCommentEvent(req, 'commentUpdated', comment);
+
+    res.json(comment);
+  } catch (error) {
+    handleError(res, error, 'updating comment');
+  }
+});
+
+// Delete a comment (its author, or whoever owns the task)
+router.delete('/comments/:commentId', auth, async (req, res) => {
+  try {
+    const { task, role, status } = await findAccessibleTask(req.params.id, req.user.userId, 'viewer');
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    if (comment.author.toString() !== req.user.userId && role !== 'owner') {
+      return res.status(403).json({ message: 'You cannot delete this comment' });
+    }
+
+    await comment.deleteOne();
+
+    emitCommentEvent(req, 'commentDeleted', { task: task._id, comment: comment._id });
+
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    handleError(res, error, 'deleting comment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const {
+  ALL_TYPES,
+  verifyUnsubscribeToken,
+  applyUnsubscribe,
+} = require('../utils/notificationChannels');
+
+function page(title, message, extra = '') {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head>` +
+    `<body style="font-family:sans-serif;max-width:480px;margin:48px auto;line-height:1.5">` +
+    `<h2>${title}</h2><p>${message}</p>${extra}</body></html>`;
+}
+
+// Apply the opt-out a token stands for. The token replaces authentication,
+// since the link is opened straight from an email
+async function unsubscribe(token) {
+  const claims = verifyUnsubscribeToken(token);
+  if (!claims) return null;
+
+  const user = await User.findById(claims.userId);
+  if (!user) return null;
+
+  if (applyUnsubscribe(user, claims.type)) {
+    await user.save();
+  }
+  return claims;
+}
+
+function describe(type) {
+  return type === ALL_TYPES
+    ? 'You will no longer get notification emails. Notifications still appear in the app.'
+    : `You will no longer get ${type.replace(/_/g, ' ')} notification emails.`;
+}
+
+function label(type) {
+  return type === ALL_TYPES ? 'all notification emails' : `${type.replace(/_/g, ' ')} notification emails`;
+}
+
+// Unsubscribe link from the footer of a notification email. Mail scanners and
+// link prefetchers open these links too, so this only asks for confirmation;
+// the form posts back to the same URL
+router.get('/unsubscribe/:token', (req, res) => {
+  const claims = verifyUnsubscribeToken(req.params.token);
+  if (!claims) {
+    return res.status(404).send(page('Link not valid', 'This unsubscribe link is not valid.'));
+  }
+  res.send(page(
+    'Unsubscribe',
+    `Stop getting ${label(claims.type)}?`,
+    '<form method="post"><input type="hidden" name="confirm" value="1">' +
+      '<button type="submit">Unsubscribe</button></form>'
+  ));
+});
+
+// Unsubscribe, either confirmed from the page above or as an RFC 8058
+// one-click unsubscribe posted by mail clients from the List-Unsubscribe header
+router.post('/unsubscribe/:token', express.urlencoded({ extended: false }), async (req, res) => {
+  const fromPage = req.body?.confirm === '1';
+  try {
+    const claims = await unsubscribe(req.params.token);
+    if (!claims) {
+      return fromPage
+        ? res.status(404).send(page('Link not valid', 'This unsubscribe link is not valid.'))
+        : res.status(404).json({ message: 'Invalid unsubscribe link' });
+    }
+    if (fromPage) {
+      return res.send(page('Unsubscribed', `${describe(claims.type)} You can change this in your notification settings.`));
+    }
+    res.json({ message: describe(claims.type) });
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    if (fromPage) {
+      return res.status(500).send(page('Something went wrong', 'Please try again later.'));
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
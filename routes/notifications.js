@@ -1,35 +1,128 @@
 const express = require('express');
 const router = express.Router();
-const schedule = require('node-schedule');
+const mongoose = require('mongoose');
 const Notification = require('../models/Notification');
-const Task = require('../models/Task');
-const User = require('../models/User');
 const auth = require('../middleware/auth');
 
-// Get all notifications for a user
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Build a query from the read/type/task filters shared by list and bulk delete.
+// Returns null when a filter value is invalid
+function buildFilter(userId, { read, type, task }) {
+  const filter = { user: userId };
+
+  if (read !== undefined) {
+    if (!['true', 'false', true, false].includes(read)) return null;
+    filter.read = read === true || read === 'true';
+  }
+  if (type !== undefined) {
+    const types = Array.isArray(type) ? type : String(type).split(',');
+    filter.type = { $in: types };
+  }
+  if (task !== undefined) {
+    if (!mongoose.isValidObjectId(task)) return null;
+    filter.task = task;
+  }
+
+  return filter;
+}
+
+// Cursors are opaque to clients: the createdAt and id of the last item seen
+function encodeCursor(notification) {
+  return Buffer.from(`${notification.createdAt.getTime()}:${notification._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [time, id] = Buffer.from(cursor, 'base64url').toString().split(':');
+  if (!time || !mongoose.isValidObjectId(id) || Number.isNaN(Number(time))) return null;
+  return { createdAt: new Date(Number(time)), _id: new mongoose.Types.ObjectId(id) };
+}
+
+// Get notifications, newest first. Supports ?read, ?type, ?task, ?limit and ?cursor
 router.get('/', auth, async (req, res) => {
   try {
-    const notifications = await Notification.find({ user: req.user.userId })
-      .sort({ createdAt: -1 })
-      .limit(50);
-    res.json(notifications);
+    const filter = buildFilter(req.user.userId, req.query);
+    if (!filter) {
+      return res.status(400).json({ message: 'Invalid filter' });
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      filter.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+      ];
+    }
+
+    // Fetch one extra to know whether there is another page
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = notifications.length > limit;
+    const page = notifications.slice(0, limit);
+
+    res.json({
+      notifications: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    });
   } catch (error) {
     console.error('Error getting notifications:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get the number of unread notifications
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user.userId, read: false });
+    res.json({ count });
+  } catch (error) {
+    console.error('Error counting unread notifications:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark all notifications as read
+router.post('/read-all', auth, async (req, res) => {
+  try {
+    const readAt = new Date();
+    await Notification.updateMany(
+      { user: req.user.userId, read: false },
+      { read: true, readAt }
+    );
+    req.app.get('io').to(req.user.userId).emit('notificationRead', { all: true, readAt });
+    res.json({ message: 'All notifications marked as read' });
+  } catch (error) {
+    console.error('Error marking all notifications as read:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Mark notification as read
 router.patch('/:id/read', auth, async (req, res) => {
   try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
     const notification = await Notification.findOneAndUpdate(
       { _id: req.params.id, user: req.user.userId },
-      { read: true },
+      { read: true, readAt: new Date() },
       { new: true }
     );
     if (!notification) {
       return res.status(404).json({ message: 'Notification not found' });
     }
+    req.app.get('io').to(req.user.userId).emit('notificationRead', {
+      ids: [notification._id],
+      readAt: notification.readAt,
+    });
     res.json(notification);
   } catch (error) {
     console.error('Error marking notification as read:', error);
@@ -37,94 +130,52 @@ router.patch('/:id/read', auth, async (req, res) => {
   }
 });
 
-// Schedule notifications for a task
-router.post('/schedule', auth, async (req, res) => {
+// Delete notifications in bulk, either by { ids } in the body or by the same
+// query filters as the list. { all: true } is required to delete everything
+router.delete('/', auth, async (req, res) => {
   try {
-    const { taskId } = req.body;
-    const task = await Task.findById(taskId);
-    const user = await User.findById(req.user.userId);
-
-    if (!task || !user) {
-      return res.status(404).json({ message: 'Task or user not found' });
-    }
-
-    // Only schedule if notifications are enabled and priority level is enabled
-    if (
-      user.notificationPreferences.enabled &&
-      user.notificationPreferences.priorityLevels[task.priority]
-    ) {
-      // Schedule deadline notification
-      const deadlineDate = new Date(task.dueDate);
-      deadlineDate.setHours(
-        deadlineDate.getHours() - user.notificationPreferences.timing.beforeDeadline
-      );
-
-      const notification = new Notification({
-        user: req.user.userId,
-        task: taskId,
-        type: 'deadline',
-        message: `Task "${task.title}" is due in ${user.notificationPreferences.timing.beforeDeadline} hours`,
-        scheduledFor: deadlineDate,
-      });
-
-      await notification.save();
-
-      // Schedule the notification using node-schedule
-      schedule.scheduleJob(deadlineDate, async () => {
-        notification.sent = true;
-        await notification.save();
-        // Emit socket event (handled in server.js)
-        req.app.get('io').to(req.user.userId).emit('notification', notification);
-      });
+    let filter;
+    if (Array.isArray(req.body?.ids)) {
+      if (!req.body.ids.every((id) => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: 'Invalid notification id' });
+      }
+      filter = { user: req.user.userId, _id: { $in: req.body.ids } };
+    } else {
+      filter = buildFilter(req.user.userId, req.query);
+      if (!filter) {
+        return res.status(400).json({ message: 'Invalid filter' });
+      }
+      if (Object.keys(filter).length === 1 && req.body?.all !== true) {
+        return res.status(400).json({ message: 'Provide ids, a filter or all: true' });
+      }
     }
 
-    res.json({ message: 'Notifications scheduled' });
+    const result = await Notification.deleteMany(filter);
+    res.json({ message: 'Notifications deleted', deletedCount: result.deletedCount });
   } catch (error) {
-    console.error('Error scheduling notifications:', error);
+    console.error('Error deleting notifications:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Schedule daily digest
-router.post('/schedule-digest', auth, async (req, res) => {
+// Delete a notification
+router.delete('/:id', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-
-    if (!user.notificationPreferences.enabled || !user.notificationPreferences.timing.dailyDigest) {
-      return res.json({ message: 'Daily digest not enabled' });
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Notification not found' });
     }
-
-    // Schedule for 9 AM next day
-    const scheduleDate = new Date();
-    scheduleDate.setDate(scheduleDate.getDate() + 1);
-    scheduleDate.setHours(9, 0, 0, 0);
-
-    const tasks = await Task.find({
-      user: req.user.userId,
-      status: { $in: ['pending', 'overdue'] },
-    });
-
-    const notification = new Notification({
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
       user: req.user.userId,
-      type: 'daily_digest',
-      message: `You have ${tasks.length} pending tasks for today`,
-      scheduledFor: scheduleDate,
-    });
-
-    await notification.save();
-
-    // Schedule the notification
-    schedule.scheduleJob(scheduleDate, async () => {
-      notification.sent = true;
-      await notification.save();
-      req.app.get('io').to(req.user.userId).emit('notification', notification);
     });
-
-    res.json({ message: 'Daily digest scheduled' });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.json({ message: 'Notification deleted' });
   } catch (error) {
-    console.error('Error scheduling daily digest:', error);
+    console.error('Error deleting notification:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,346 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { getProjectRole, hasRole } = require('../utils/permissions');
+const { projectRoom } = require('../utils/taskEvents');
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+function handleError(res, error, label) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`Error ${label}:`, error);
+  res.status(500).json({ message: 'Server error' });
+}
+
+// Load a project the user belongs to, with at least the given role. Sends the
+// error response and returns null otherwise
+async function loadProject(req, res, required = 'viewer') {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: 'Project not found' });
+    return null;
+  }
+  const project = await Project.findById(req.params.id);
+  const role = project && getProjectRole(project, req.user.userId);
+  if (!role) {
+    res.status(404).json({ message: 'Project not found' });
+    return null;
+  }
+  if (!hasRole(role, required)) {
+    res.status(403).json({ message: 'You do not have permission to do this' });
+    return null;
+  }
+  return project;
+}
+
+// What a member with `role` sees of a project. Pending invitations carry the
+// invitees' email addresses, so only owners see them
+function projectForRole(project, role) {
+  const { invitations, ...shared } = project.toObject();
+  return role === 'owner' ? { ...shared, invitations, role } : { ...shared, role };
+}
+
+function withRole(project, userId) {
+  return projectForRole(project, getProjectRole(project, userId));
+}
+
+// Tell the project's room about a change, with the invitations for owners only
+function emitProjectUpdated(req, project) {
+  const io = req.app.get('io');
+  const owners = project.members
+    .filter((member) => member.role === 'owner')
+    .map((member) => member.user.toString());
+  const { invitations, ...shared } = project.toObject();
+  io.to(projectRoom(project._id)).except(owners).emit('projectUpdated', shared);
+  io.to(owners).emit('projectUpdated', { ...shared, invitations });
+}
+
+function ownerCount(project) {
+  return project.members.filter((member) => member.role === 'owner').length;
+}
+
+// Move every connected socket of a user in or out of a project's room
+function joinRoom(req, userId, projectId) {
+  req.app.get('io').in(userId.toString()).socketsJoin(projectRoom(projectId));
+}
+
+function leaveRoom(req, userId, projectId) {
+  req.app.get('io').in(userId.toString()).socketsLeave(projectRoom(projectId));
+}
+
+// Pending invitations for the current user's email
+router.get('/invitations', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('email');
+    const projects = await Project.find({ 'invitations.email': user.email })
+      .select('name description invitations');
+
+    const invitations = projects.flatMap((project) =>
+      project.invitations
+        .filter((invitation) => invitation.email === user.email)
+        .map((invitation) => ({
+          _id: invitation._id,
+          role: invitation.role,
+          invitedBy: invitation.invitedBy,
+          createdAt: invitation.createdAt,
+          project: { _id: project._id, name: project.name, description: project.description },
+        }))
+    );
+    res.json(invitations);
+  } catch (error) {
+    handleError(res, error, 'getting invitations');
+  }
+});
+
+// Accept an invitation addressed to the current user
+router.post('/invitations/:invitationId/accept', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('email');
+    const project = await Project.findOne({
+      invitations: { $elemMatch: { _id: req.params.invitationId, email: user.email } },
+    });
+    if (!project) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const invitation = project.invitations.id(req.params.invitationId);
+    if (!getProjectRole(project, req.user.userId)) {
+      project.members.push({ user: req.user.userId, role: invitation.role });
+    }
+    invitation.deleteOne();
+    await project.save();
+
+    joinRoom(req, req.user.userId, project._id);
+    emitProjectUpdated(req, project);
+
+    res.json(withRole(project, req.user.userId));
+  } catch (error) {
+    handleError(res, error, 'accepting invitation');
+  }
+});
+
+// Decline an invitation addressed to the current user
+router.post('/invitations/:invitationId/decline', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('email');
+    const project = await Project.findOneAndUpdate(
+      { invitations: { $elemMatch: { _id: req.params.invitationId, email: user.email } } },
+      { $pull: { invitations: { _id: req.params.invitationId } } }
+    );
+    if (!project) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    handleError(res, error, 'declining invitation');
+  }
+});
+
+// Get the projects the user belongs to, with their role in each
+router.get('/', auth, async (req, res) => {
+  try {
+    const projects = await Project.find({ 'members.user': req.user.userId }).sort({ name: 1 });
+    res.json(projects.map((project) => withRole(project, req.user.userId)));
+  } catch (error) {
+    handleError(res, error, 'getting projects');
+  }
+});
+
+// Create a project; the creator becomes its owner
+router.post('/', auth, async (req, res) => {
+  try {
+    const project = new Project({
+      name: req.body.name,
+      description: req.body.description,
+      members: [{ user: req.user.userId, role: 'owner' }],
+    });
+    await project.save();
+
+    joinRoom(req, req.user.userId, project._id);
+
+    res.status(201).json(withRole(project, req.user.userId));
+  } catch (error) {
+    handleError(res, error, 'creating project');
+  }
+});
+
+// Get a project with its members
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const role = getProjectRole(project, req.user.userId);
+    await project.populate('members.user', 'name email');
+    res.json(projectForRole(project, role));
+  } catch (error) {
+    handleError(res, error, 'getting project');
+  }
+});
+
+// Rename or describe a project (owners only)
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const project = await loadProject(req, res, 'owner');
+    if (!project) return;
+
+    ['name', 'description'].forEach((field) => {
+      if (req.body[field] !== undefined) project[field] = req.body[field];
+    });
+    await project.save();
+
+    emitProjectUpdated(req, project);
+
+    res.json(withRole(project, req.user.userId));
+  } catch (error) {
+    handleError(res, error, 'updating project');
+  }
+});
+
+// Delete a project (owners only). Its tasks go back to being personal tasks
+// of whoever created them
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const project = await loadProject(req, res, 'owner');
+    if (!project) return;
+
+    await Task.updateMany({ project: project._id }, { project: null }).setOptions({ withDeleted: true });
+    await project.deleteOne();
+
+    const io = req.app.get('io');
+    io.to(projectRoom(project._id)).emit('projectDeleted', project._id);
+    io.in(projectRoom(project._id)).socketsLeave(projectRoom(project._id));
+
+    res.json({ message: 'Project deleted' });
+  } catch (error) {
+    handleError(res, error, 'deleting project');
+  }
+});
+
+// Invite someone by email (owners only)
+router.post('/:id/invitations', auth, async (req, res) => {
+  try {
+    const project = await loadProject(req, res, 'owner');
+    if (!project) return;
+
+    const email = String(req.body.email || '').trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ message: 'email is required' });
+    }
+    if (req.body.role !== undefined && !['editor', 'viewer'].includes(req.body.role)) {
+      return res.status(400).json({ message: 'role must be editor or viewer' });
+    }
+
+    const invitee = await User.findOne({ email }).select('_id');
+    if (invitee && getProjectRole(project, invitee._id)) {
+      return res.status(400).json({ message: 'User is already a member' });
+    }
+    if (project.invitations.some((invitation) => invitation.email === email)) {
+      return res.status(400).json({ message: 'User has already been invited' });
+    }
+
+    const invitation = project.invitations.create({
+      email,
+      role: req.body.role,
+      invitedBy: req.user.userId,
+    });
+    project.invitations.push(invitation);
+    await project.save();
+
+    // Let the invitee know right away if they already have an account
+    if (invitee) {
+      req.app.get('io').to(invitee._id.toString()).emit('projectInvitation', {
+        _id: invitation._id,
+        role: invitation.role,
+        project: { _id: project._id, name: project.name },
+      });
+    }
+
+    res.status(201).json(invitation);
+  } catch (error) {
+    handleError(res, error, 'inviting to project');
+  }
+});
+
+// Withdraw a pending invitation (owners only)
+router.delete('/:id/invitations/:invitationId', auth, async (req, res) => {
+  try {
+    const project = await loadProject(req, res, 'owner');
+    if (!project) return;
+
+    const invitation = project.invitations.id(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    invitation.deleteOne();
+    await project.save();
+
+    res.json({ message: 'Invitation withdrawn' });
+  } catch (error) {
+    handleError(res, error, 'withdrawing invitation');
+  }
+});
+
+// Change a member's role (owners only). A project always keeps an owner
+router.patch('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const project = await loadProject(req, res, 'owner');
+    if (!project) return;
+
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+    const member = project.members.find((m) => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (member.role === 'owner' && role !== 'owner' && ownerCount(project) === 1) {
+      return res.status(400).json({ message: 'A project needs at least one owner' });
+    }
+
+    member.role = role;
+    await project.save();
+
+    emitProjectUpdated(req, project);
+
+    res.json(member);
+  } catch (error) {
+    handleError(res, error, 'updating member');
+  }
+});
+
+// Remove a member (owners only), or leave the project yourself
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.userId;
+    const project = await loadProject(req, res, leaving ? 'viewer' : 'owner');
+    if (!project) return;
+
+    const member = project.members.find((m) => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (member.role === 'owner' && ownerCount(project) === 1) {
+      return res.status(400).json({ message: 'A project needs at least one owner' });
+    }
+
+    project.members = project.members.filter((m) => m !== member);
+    await project.save();
+
+    leaveRoom(req, member.user, project._id);
+    emitProjectUpdated(req, project);
+    req.app.get('io').to(member.user.toString()).emit('projectRemoved', project._id);
+
+    res.json({ message: leaving ? 'Left project' : 'Member removed' });
+  } catch (error) {
+    handleError(res, error, 'removing member');
+  }
+});
+
+module.exports = router;
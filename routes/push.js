@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const PushSubscription = require('../models/PushSubscription');
+const auth = require('../middleware/auth');
+
+function handleError(res, error, label) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`Error ${label}:`, error);
+  res.status(500).json({ message: 'Server error' });
+}
+
+// Public VAPID key browsers need as applicationServerKey to subscribe
+router.get('/vapid-public-key', (req, res) => {
+  const { publicKey } = req.app.get('pushService');
+  if (!publicKey) {
+    return res.status(404).json({ message: 'Push notifications are not configured' });
+  }
+  res.json({ publicKey });
+});
+
+// The user's subscribed devices, without their encryption keys
+router.get('/subscriptions', auth, async (req, res) => {
+  try {
+    const subscriptions = await PushSubscription.find({ user: req.user.userId })
+      .select('-keys')
+      .sort({ createdAt: -1 });
+    res.json(subscriptions);
+  } catch (error) {
+    handleError(res, error, 'fetching push subscriptions');
+  }
+});
+
+// Register this device with the PushSubscription JSON from the browser
+// ({ endpoint, expirationTime, keys: { p256dh, auth } }). Subscribing the
+// same endpoint again updates it, moving it to the current user if the
+// browser was last used by someone else
+router.post('/subscriptions', auth, async (req, res) => {
+  try {
+    const { endpoint, expirationTime, keys } = req.body;
+    if (typeof endpoint !== 'string' || typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') {
+      return res.status(400).json({ message: 'Send the subscription with endpoint and keys' });
+    }
+
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        user: req.user.userId,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        expirationTime: expirationTime ? new Date(expirationTime) : null,
+        userAgent: req.get('user-agent'),
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).select('-keys');
+    res.status(201).json(subscription);
+  } catch (error) {
+    handleError(res, error, 'saving push subscription');
+  }
+});
+
+// Remove a device by id, or by { endpoint } when the browser unsubscribes
+router.delete('/subscriptions/:id?', auth, async (req, res) => {
+  try {
+    const filter = { user: req.user.userId };
+    if (req.params.id) {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Subscription not found' });
+      }
+      filter._id = req.params.id;
+    } else if (typeof req.body?.endpoint === 'string') {
+      filter.endpoint = req.body.endpoint;
+    } else {
+      return res.status(400).json({ message: 'Provide a subscription id or endpoint' });
+    }
+
+    const { deletedCount } = await PushSubscription.deleteOne(filter);
+    if (deletedCount === 0) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+    res.json({ message: 'Subscription removed' });
+  } catch (error) {
+    handleError(res, error, 'removing push subscription');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const auth = require('../middleware/auth');
+const { findAccessibleTask, sendAccessError } = require('../utils/permissions');
+const { emitTaskEvent } = require('../utils/taskEvents');
+const { snapshotTask, recordChanges } = require('../utils/taskHistory');
+
+// Mounted under /api/tasks/:id, so req.params.id is the parent task
+
+const SUBTASK_FIELDS = ['title', 'status', 'dueDate', 'order'];
+const CHECKLIST_FIELDS = ['text', 'done', 'order'];
+
+function pick(body, fields) {
+  return fields.reduce((result, field) => {
+    if (body[field] !== undefined) result[field] = body[field];
+    return result;
+  }, {});
+}
+
+function nextOrder(items) {
+  return items.reduce((max, item) => Math.max(max, item.order), -1) + 1;
+}
+
+function sortByOrder(items) {
+  return [...items].sort((a, b) => a.order - b.order);
+}
+
+// Save the parent task and tell connected clients it changed
+async function saveAndNotify(req, task) {
+  await task.save();
+  await recordChanges(task, task.$locals.before, { user: req.user.userId });
+  emitTaskEvent(req.app, task, 'taskUpdated');
+}
+
+// Reading needs viewer access to the parent task, changing it editor access
+async function findTask(req, required = 'editor') {
+  const access = await findAccessibleTask(req.params.id, req.user.userId, required);
+  // Remember the task as loaded so saving can record what changed
+  if (access.task) access.task.$locals.before = snapshotTask(access.task);
+  return access;
+}
+
+function handleError(res, error, label) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`Error ${label}:`, error);
+  res.status(500).json({ message: 'Server error' });
+}
+
+// Get subtasks of a task
+router.get('/subtasks', auth, async (req, res) => {
+  try {
+    const { task, status } = await findTask(req, 'viewer');
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+    res.json(sortByOrder(task.subtasks));
+  } catch (error) {
+    handleError(res, error, 'getting subtasks');
+  }
+});
+
+// Add a subtask
+router.post('/subtasks', auth, async (req, res) => {
+  try {
+    const { task, status } = await findTask(req);
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+
+    const subtask = task.subtasks.create({
+      order: nextOrder(task.subtasks),
+      ...pick(req.body, SUBTASK_FIELDS),
+    });
+    if (subtask.status === 'completed') subtask.completedAt = new Date();
+    task.subtasks.push(subtask);
+
+    await saveAndNotify(req, task);
+    res.status(201).json(subtask);
+  } catch (error) {
+    handleError(res, error, 'adding subtask');
+  }
+});
+
+// Reorder subtasks; body is { order: [subtaskId, ...] }
+router.put('/subtasks/order', auth, async (req, res) => {
+  try {
+    const { task, status } = await findTask(req);
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+    if (!Array.isArray(req.body.order)) {
+      return res.status(400).json({ message: 'order must be an array of subtask ids' });
+    }
+
+    req.body.order.forEach((subtaskId, index) => {
+      const subtask = task.subtasks.id(subtaskId);
+      if (subtask) subtask.order = index;
+    });
+
+    await saveAndNotify(req, task);
+    res.json(sortByOrder(task.subtasks));
+  } catch (error) {
+    handleError(res, error, 'reordering subtasks');
+  }
+});
+
+// Update a subtask
+router.patch('/subtasks/:subtaskId', auth, async (req, res) => {
+  try {
+    const { task, status } = await findTask(req);
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({ message: 'Subtask not found' });
+    }
+
+    const previousStatus = subtask.status;
+    subtask.set(pick(req.body, SUBTASK_FIELDS));
+    if (subtask.status !== previousStatus) {
+      subtask.completedAt = subtask.status === 'completed' ? new Date() : null;
+    }
+
+    await saveAndNotify(req, task);
+    res.json(subtask);
+  } catch (error) {
+    handleError(res, error, 'updating subtask');
+  }
+});
+
+// Delete a subtask
+router.delete('/subtasks/:subtaskId', auth, async (req, res) => {
+  try {
+    const { task, status } = await findTask(req);
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({ message: 'Subtask not found' });
+    }
+
+    subtask.deleteOne();
+
+    await saveAndNotify(req, task);
+    res.json({ message: 'Subtask deleted' });
+  } catch (error) {
+    handleError(res, error, 'deleting subtask');
+  }
+});
+
+// Add a checklist item
+router.post('/checklist', auth, async (req, res) => {
+  try {
+    const { task, status } = await findTask(req);
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+
+    const item = task.checklist.create({
+      order: nextOrder(task.checklist),
+      ...pick(req.body, CHECKLIST_FIELDS),
+    });
+    task.checklist.push(item);
+
+    await saveAndNotify(req, task);
+    res.status(201).json(item);
+  } catch (error) {
+    handleError(res, error, 'adding checklist item');
+  }
+});
+
+// Update a checklist item, e.g. tick it off
+router.patch('/checklist/:itemId', auth, async (req, res) => {
+  try {
+    const { task, status } = await findTask(req);
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    item.set(pick(req.body, CHECKLIST_FIELDS));
+
+    await saveAndNotify(req, task);
+    res.json(item);
+  } catch (error) {
+    handleError(res, error, 'updating checklist item');
+  }
+});
+
+// Delete a checklist item
+router.delete('/checklist/:itemId', auth, async (req, res) => {
+  try {
+    const { task, status } = await findTask(req);
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    item.deleteOne();
+
+    await saveAndNotify(req, task);
+    res.json({ message: 'Checklist item deleted' });
+  } catch (error) {
+    handleError(res, error, 'deleting checklist item');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const Task = require('../models/Task');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { CsvError, toCsv, parseCsv } = require('../utils/csv');
+const {
+  EXPORT_FIELDS,
+  TaskImportError,
+  exportTask,
+  exportRow,
+  resolveMapping,
+  recordToFields,
+} = require('../utils/taskTransfer');
+const { TaskQueryError, buildTaskFilter } = require('../utils/taskQuery');
+const { getProjectIds } = require('../utils/permissions');
+const { updateDependents } = require('../utils/dependencies');
+const { recordCreations } = require('../utils/taskHistory');
+
+// Mounted under /api/tasks
+
+const MAX_EXPORT_TASKS = 10000;
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_SIZE = '5mb';
+
+// { column: value } records and their columns from a CSV with a header row
+function csvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new TaskImportError('The CSV has no header row');
+
+  const columns = header.map((column) => column.trim());
+  const records = rows.map((cells) =>
+    Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']))
+  );
+  return { columns, records };
+}
+
+function jsonRecords(tasks) {
+  if (!tasks.every((task) => task && typeof task === 'object' && !Array.isArray(task))) {
+    throw new TaskImportError('tasks must be an array of objects');
+  }
+  return { columns: [...new Set(tasks.flatMap((task) => Object.keys(task)))], records: tasks };
+}
+
+// Export the tasks the user can see as ?format=json (default) or csv. Takes
+// the same filters as GET /api/tasks
+router.get('/export', auth, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ message: 'format must be json or csv' });
+    }
+
+    const projectIds = await getProjectIds(req.user.userId);
+    const tasks = await Task.find(buildTaskFilter(req.user.userId, req.query, projectIds))
+      .sort({ dueDate: 1, _id: 1 })
+      .limit(MAX_EXPORT_TASKS);
+
+    res.attachment(`tasks-${new Date().toISOString().slice(0, 10)}.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(toCsv(EXPORT_FIELDS, tasks.map(exportRow)));
+    } else {
+      res.json(tasks.map(exportTask));
+    }
+  } catch (error) {
+    if (error instanceof TaskQueryError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error exporting tasks:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import tasks from a CSV body (text/csv) or from JSON { csv }, { tasks: [...] }
+// or a bare array of tasks, as GET /export?format=json returns.
+// JSON bodies may add a { column: field } mapping. Every row is validated
+// against the Task schema; invalid rows are reported and skipped. With
+// dryRun (in the body or ?dryRun=true) nothing is saved
+router.post(
+  '/import',
+  auth,
+  express.text({ type: ['text/csv', 'text/plain'], limit: MAX_IMPORT_SIZE }),
+  express.json({ limit: MAX_IMPORT_SIZE }),
+  async (req, res) => {
+    try {
+      let body = req.body || {};
+      if (typeof body === 'string') body = { csv: body };
+      if (Array.isArray(body)) body = { tasks: body };
+      const dryRun = body.dryRun === true || req.query.dryRun === 'true';
+
+      let parsed;
+      if (typeof body.csv === 'string') {
+        parsed = csvRecords(body.csv);
+      } else if (Array.isArray(body.tasks)) {
+        parsed = jsonRecords(body.tasks);
+      } else {
+        return res.status(400).json({ message: 'Send CSV text, { csv }, { tasks } or an array of tasks' });
+      }
+
+      const { columns, records } = parsed;
+      if (records.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ message: `At most ${MAX_IMPORT_ROWS} rows per import` });
+      }
+      const mapping = resolveMapping(columns, body.mapping);
+
+      const user = await User.findById(req.user.userId).select('timezone');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      // Rows are numbered from 1, not counting a CSV header
+      const valid = [];
+      const errors = [];
+      for (const [index, record] of records.entries()) {
+        const task = new Task({
+          ...recordToFields(record, mapping, { timeZone: user.timezone }),
+          user: req.user.userId,
+        });
+        try {
+          await task.validate();
+          valid.push(task);
+        } catch (error) {
+          if (error.name !== 'ValidationError') throw error;
+          errors.push({
+            row: index + 1,
+            errors: Object.fromEntries(
+              Object.entries(error.errors).map(([field, fieldError]) => [field, fieldError.message])
+            ),
+          });
+        }
+      }
+
+      const report = { dryRun, mapping, total: records.length, valid: valid.length, errors };
+      if (dryRun || valid.length === 0) {
+        return res.json(report);
+      }
+
+      const tasks = await Task.insertMany(valid);
+      await recordCreations(tasks, { user: req.user.userId, source: 'import' });
+
+      // One scheduler pass and one event for the whole import
+      await req.app.get('taskScheduler').rescheduleTasks(tasks.map((task) => task._id));
+      req.app.get('io').to(req.user.userId).emit('tasksBulkUpdated', {
+        action: 'import',
+        updated: tasks,
+        deleted: [],
+      });
+      const webhooks = req.app.get('webhooks');
+      tasks.forEach((task) => webhooks.dispatchTaskEvent(task, 'taskCreated'));
+
+      // Tasks imported as completed are announced like any other completion.
+      // Imports don't advance recurring series
+      for (const task of tasks.filter((imported) => imported.status === 'completed')) {
+        await updateDependents(req.app, task, null);
+      }
+
+      res.status(201).json({ ...report, imported: tasks.length });
+    } catch (error) {
+      if (error instanceof CsvError || error instanceof TaskImportError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('Error importing tasks:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
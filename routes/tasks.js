@@ -1,105 +1,432 @@
 const express = require('express');
 const router = express.Router();
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const subtaskRoutes = require('./subtasks');
+const commentRoutes = require('./comments');
+const taskTransferRoutes = require('./taskTransfer');
+const { getNextOccurrence } = require('../utils/recurrence');
+const { parseQuickAdd } = require('../utils/quickAdd');
+const { getZonedParts, zonedTimeToDate, parseClockTime } = require('../utils/timezone');
+const { planSchedule } = require('../utils/planner');
+const { TaskQueryError, buildTaskFilter, findTaskPage } = require('../utils/taskQuery');
+const {
+  validateDependencies,
+  annotateBlocked,
+  getDependents,
+  updateDependents,
+} = require('../utils/dependencies');
+const {
+  getProjectIds,
+  accessFilter,
+  findAccessibleTask,
+  sendAccessError,
+} = require('../utils/permissions');
+const { taskRooms, emitTaskEvent } = require('../utils/taskEvents');
+const { validateAssignees, applyAssignees, responsibleFilter } = require('../utils/assignments');
+const { getPurgeDate, purgeTasks } = require('../utils/trash');
+const {
+  snapshotTask,
+  recordChanges,
+  getStateAtVersion,
+  applySnapshot,
+} = require('../utils/taskHistory');
+const TaskHistory = require('../models/TaskHistory');
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const BULK_ACTIONS = ['complete', 'reopen', 'reprioritize', 'recategorize', 'shift', 'delete'];
+const MAX_BULK_TASKS = 500;
 
-// Get all tasks for a user
+// Get a page of the user's tasks. Query: status, priority, category
+// (comma-separated), dueFrom/dueTo, completedFrom/completedTo, q (text search),
+// sort (e.g. "priority,-dueDate"), limit and cursor
 router.get('/', auth, async (req, res) => {
   try {
-    const tasks = await Task.find({ user: req.user.userId }).sort({ dueDate: 1 });
-    res.json(tasks);
+    const page = await findTaskPage(req.user.userId, req.query);
+    res.json({ ...page, tasks: await annotateBlocked(page.tasks) });
   } catch (error) {
+    if (error instanceof TaskQueryError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error getting tasks:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create a new task
+// Preview a task parsed from natural-language text without saving it
+router.post('/parse', auth, async (req, res) => {
+  try {
+    if (typeof req.body.text !== 'string' || !req.body.text.trim()) {
+      return res.status(400).json({ message: 'text is required' });
+    }
+    res.json(await previewQuickAdd(req, req.body.text));
+  } catch (error) {
+    console.error('Error parsing task:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a new task. With { quickAdd: "text" } the fields are parsed from the
+// text first; any other fields in the body take precedence
 router.post('/', auth, async (req, res) => {
   try {
+    let body = req.body;
+    if (typeof req.body.quickAdd === 'string') {
+      const { quickAdd, ...explicit } = req.body;
+      const preview = await previewQuickAdd(req, quickAdd);
+      body = { ...preview.task, ...explicit };
+      if (!body.dueDate) {
+        return res.status(400).json({ message: 'Could not determine a due date', ...preview });
+      }
+    }
+
+    const {
+      seriesId, occurrenceIndex, occurrenceDate, assignees, assignmentHistory, ...fields
+    } = body;
+
+    if (fields.dependsOn !== undefined) {
+      const dependencyError = await validateDependencies(req.user.userId, null, fields.dependsOn);
+      if (dependencyError) {
+        return res.status(400).json({ message: dependencyError });
+      }
+    }
+
+    if (fields.project && !(await canEditProject(req.user.userId, fields.project))) {
+      return res.status(403).json({ message: 'You cannot add tasks to this project' });
+    }
+
+    if (assignees !== undefined) {
+      const assigneeError = await validateAssignees(fields, assignees);
+      if (assigneeError) {
+        return res.status(400).json({ message: assigneeError });
+      }
+    }
+
     const task = new Task({
-      ...req.body,
+      ...fields,
       user: req.user.userId,
     });
+    const assignment = assignees ? applyAssignees(task, assignees, req.user.userId) : null;
+
+    // A recurring task starts its own series
+    if (task.recurrence?.frequency) {
+      task.seriesId = task._id;
+      task.occurrenceDate = task.dueDate;
+    }
+
+    // What the user asked for, before AI suggestions are added
+    const requested = snapshotTask(task);
 
     // Get AI suggestions for the task
-    try {
-      const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-      const prompt = `Given this task:
-Title: ${task.title}
-Description: ${task.description || 'No description provided'}
-Due Date: ${new Date(task.dueDate).toLocaleString()}
-Priority: ${task.priority}
-
-Provide 2-3 concise, actionable suggestions to help complete this task efficiently. Format your response as a JSON array of strings. Example:
-["Break down the task into smaller steps", "Set reminders for key milestones"]`;
-
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      console.log('AI Response:', text); // Debug log
+    task.aiSuggestions = await req.app.get('aiService').run('suggestions', {
+      title: task.title,
+      description: task.description || '',
+      dueDate: task.dueDate,
+      priority: task.priority,
+    });
 
-      try {
-        const suggestions = JSON.parse(text);
-        if (Array.isArray(suggestions)) {
-          task.aiSuggestions = suggestions;
-        } else {
-          task.aiSuggestions = ["Break down the task into smaller steps", "Set reminders for key milestones"];
-        }
-      } catch (parseError) {
-        console.error('Error parsing AI suggestions:', parseError);
-        // Set default suggestions if parsing fails
-        task.aiSuggestions = ["Break down the task into smaller steps", "Set reminders for key milestones"];
-      }
-    } catch (aiError) {
-      console.error('Error getting AI suggestions:', aiError);
-      // Set default suggestions if AI generation fails
-      task.aiSuggestions = ["Break down the task into smaller steps", "Set reminders for key milestones"];
+    // Turn the suggestions into checklist items that can be ticked off
+    if (task.checklist.length === 0) {
+      task.aiSuggestions.forEach((text, order) => task.checklist.push({ text, order }));
     }
 
     await task.save();
+    await recordChanges(task, null, { user: req.user.userId, after: requested });
+    await recordChanges(task, requested, { user: req.user.userId, source: 'ai' });
 
     // Schedule notifications for the task
     const taskScheduler = req.app.get('taskScheduler');
     await taskScheduler.scheduleTaskNotifications(task._id);
 
     // Notify connected clients about the new task
-    req.app.get('io').to(req.user.userId).emit('taskCreated', task);
+    emitTaskEvent(req.app, task, 'taskCreated');
+    if (assignment) {
+      await notifyAssignmentChanges(req, task, assignment);
+    }
 
     res.status(201).json(task);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error creating task:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update a task
+// Apply one action to many tasks, selected by { ids } or by { filter } using
+// the same parameters as GET /api/tasks. Actions: complete, reopen,
+// reprioritize ({ priority }), recategorize ({ category }), shift
+// ({ shiftMinutes }, moves due dates) and delete (to the trash)
+router.post('/bulk', auth, async (req, res) => {
+  try {
+    const { ids, filter, action, priority, category, shiftMinutes } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `action must be one of ${BULK_ACTIONS.join(', ')}` });
+    }
+    if (action === 'reprioritize' && !['low', 'medium', 'high'].includes(priority)) {
+      return res.status(400).json({ message: 'priority must be low, medium or high' });
+    }
+    if (action === 'recategorize' && (typeof category !== 'string' || !category.trim())) {
+      return res.status(400).json({ message: 'category is required' });
+    }
+    if (action === 'shift' && (!Number.isInteger(shiftMinutes) || shiftMinutes === 0)) {
+      return res.status(400).json({ message: 'shiftMinutes must be a non-zero integer' });
+    }
+
+    // Only tasks the user may edit are selected
+    const editableProjects = await getProjectIds(req.user.userId, 'editor');
+    const results = [];
+    let tasks;
+    if (Array.isArray(ids)) {
+      if (ids.length > MAX_BULK_TASKS) {
+        return res.status(400).json({ message: `At most ${MAX_BULK_TASKS} tasks per request` });
+      }
+      const validIds = ids.filter((id) => mongoose.isValidObjectId(id));
+      tasks = await Task.find({
+        _id: { $in: validIds },
+        ...accessFilter(req.user.userId, editableProjects),
+      });
+      const found = new Set(tasks.map((task) => task._id.toString()));
+      ids.filter((id) => !found.has(String(id))).forEach((id) => {
+        results.push({ id, ok: false, error: 'Task not found' });
+      });
+    } else if (filter && typeof filter === 'object') {
+      tasks = await Task.find(buildTaskFilter(req.user.userId, filter, editableProjects))
+        .limit(MAX_BULK_TASKS + 1);
+      if (tasks.length > MAX_BULK_TASKS) {
+        return res.status(400).json({ message: `Filter matches more than ${MAX_BULK_TASKS} tasks` });
+      }
+    } else {
+      return res.status(400).json({ message: 'Provide ids or a filter' });
+    }
+
+    const updated = [];
+    const deleted = [];
+    for (const task of tasks) {
+      try {
+        const before = snapshotTask(task);
+        const previousStatus = task.status;
+        switch (action) {
+          case 'complete':
+            task.status = 'completed';
+            task.completedAt = new Date();
+            break;
+          case 'reopen':
+            task.status = task.dueDate < new Date() ? 'overdue' : 'pending';
+            task.completedAt = null;
+            break;
+          case 'reprioritize':
+            task.priority = priority;
+            break;
+          case 'recategorize':
+            task.category = category.trim();
+            break;
+          case 'shift':
+            task.dueDate = new Date(task.dueDate.getTime() + shiftMinutes * 60000);
+            if (task.reminderTime) {
+              task.reminderTime = new Date(task.reminderTime.getTime() + shiftMinutes * 60000);
+            }
+            break;
+          default:
+            break;
+        }
+
+        if (action === 'delete') {
+          await moveToTrash(req, task);
+          deleted.push(task);
+        } else {
+          await task.save();
+          await recordChanges(task, before, { user: req.user.userId, source: 'bulk' });
+          await handleStatusChange(req, task, previousStatus);
+          updated.push(task);
+        }
+        results.push({ id: task._id, ok: true });
+      } catch (error) {
+        results.push({ id: task._id, ok: false, error: error.message });
+      }
+    }
+
+    // One scheduler pass for the whole batch
+    const taskScheduler = req.app.get('taskScheduler');
+    if (deleted.length > 0) {
+      await taskScheduler.cancelTaskNotifications(deleted.map((task) => task._id));
+    }
+    if (updated.length > 0) {
+      await taskScheduler.rescheduleTasks(updated.map((task) => task._id));
+    }
+
+    // One aggregated event per room instead of one per task
+    const rooms = new Map();
+    const roomsFor = (task) => taskRooms(task).map((room) => {
+      if (!rooms.has(room)) rooms.set(room, { action, updated: [], deleted: [] });
+      return rooms.get(room);
+    });
+    updated.forEach((task) => roomsFor(task).forEach((payload) => payload.updated.push(task)));
+    deleted.forEach((task) => roomsFor(task).forEach((payload) => payload.deleted.push(task._id)));
+    const io = req.app.get('io');
+    rooms.forEach((payload, room) => io.to(room).emit('tasksBulkUpdated', payload));
+    const webhooks = req.app.get('webhooks');
+    updated.forEach((task) => webhooks.dispatchTaskEvent(task, 'taskUpdated'));
+    deleted.forEach((task) => webhooks.dispatchTaskEvent(task, 'taskDeleted'));
+
+    res.json({
+      action,
+      results,
+      succeeded: results.filter((result) => result.ok).length,
+      failed: results.filter((result) => !result.ok).length,
+    });
+  } catch (error) {
+    if (error instanceof TaskQueryError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error applying bulk action:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the tasks in the trash, most recently deleted first, with the date
+// each one will be deleted for good
+router.get('/trash', auth, async (req, res) => {
+  try {
+    const projectIds = await getProjectIds(req.user.userId);
+    const tasks = await Task.find({
+      ...accessFilter(req.user.userId, projectIds),
+      deletedAt: { $ne: null },
+    }).sort({ deletedAt: -1 });
+
+    res.json(tasks.map((task) => ({ ...task.toJSON(), purgeAt: getPurgeDate(task) })));
+  } catch (error) {
+    console.error('Error getting trash:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Empty the trash of every task the user can edit
+router.delete('/trash', auth, async (req, res) => {
+  try {
+    const editableProjects = await getProjectIds(req.user.userId, 'editor');
+    const tasks = await Task.find({
+      ...accessFilter(req.user.userId, editableProjects),
+      deletedAt: { $ne: null },
+    }).select('_id');
+
+    await purgeTasks(tasks.map((task) => task._id));
+
+    res.json({ message: 'Trash emptied', deleted: tasks.length });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a task. For recurring tasks, ?scope=occurrence (default) edits only
+// this occurrence and ?scope=future also changes every later one
 router.put('/:id', auth, async (req, res) => {
   try {
-    const task = await Task.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.userId },
-      req.body,
-      { new: true }
-    );
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+    const scope = req.query.scope || 'occurrence';
+    if (!['occurrence', 'future'].includes(scope)) {
+      return res.status(400).json({ message: 'Invalid scope' });
+    }
+
+    const { task: existing, status } = await findAccessibleTask(req.params.id, req.user.userId, 'editor');
+    if (!existing) {
+      return sendAccessError(res, status);
+    }
+
+    // Assignees change through PUT /:id/assignees so the history stays complete
+    const {
+      seriesId, occurrenceIndex, occurrenceDate, user, assignees, assignmentHistory, ...update
+    } = req.body;
+
+    // Moving a task between projects needs editor access to the target; only
+    // its creator can take it back out of a project
+    if (update.project !== undefined && String(update.project) !== String(existing.project)) {
+      const allowed = update.project
+        ? await canEditProject(req.user.userId, update.project)
+        : existing.user.toString() === req.user.userId;
+      if (!allowed) {
+        return res.status(403).json({ message: 'You cannot move this task there' });
+      }
     }
 
-    // Reschedule notifications if due date or priority changed
-    if (req.body.dueDate || req.body.priority) {
-      const taskScheduler = req.app.get('taskScheduler');
+    if (update.dependsOn !== undefined) {
+      const dependencyError = await validateDependencies(req.user.userId, existing._id, update.dependsOn);
+      if (dependencyError) {
+        return res.status(400).json({ message: dependencyError });
+      }
+    }
+
+    const recurring = Boolean(existing.recurrence?.frequency);
+
+    if (recurring && scope === 'occurrence') {
+      // A one-off edit can't change the rule, and moving the due date
+      // leaves occurrenceDate alone so the series keeps its cadence
+      delete update.recurrence;
+    } else {
+      if (update.recurrence?.frequency && !existing.seriesId) {
+        update.seriesId = existing._id;
+      }
+      if (update.dueDate) {
+        update.occurrenceDate = update.dueDate;
+      } else if (update.recurrence?.frequency && !existing.occurrenceDate) {
+        update.occurrenceDate = existing.dueDate;
+      }
+    }
+
+    // Completing or reopening here stamps completedAt like PATCH /:id/status
+    if (update.status && update.status !== existing.status && update.completedAt === undefined) {
+      update.completedAt = update.status === 'completed' ? new Date() : null;
+    }
+
+    // Saved through a fresh copy so `existing` keeps the previous values
+    const task = await Task.findById(existing._id);
+    task.set(update);
+    await task.save();
+    await recordChanges(task, snapshotTask(existing), { user: req.user.userId });
+
+    const taskScheduler = req.app.get('taskScheduler');
+
+    // Reschedule notifications if due date, priority, reminders or dependencies changed
+    const rescheduleFields = ['dueDate', 'priority', 'reminderTime', 'reminderOffsets', 'dependsOn'];
+    if (rescheduleFields.some((field) => req.body[field] !== undefined)) {
       await taskScheduler.scheduleTaskNotifications(task._id);
     }
 
+    await handleStatusChange(req, task, existing.status);
+
+    // Carry series-wide changes over to later occurrences that already exist
+    if (recurring && scope === 'future') {
+      const shared = { ...update };
+      ['dueDate', 'occurrenceDate', 'status', 'completedAt', 'reminderTime'].forEach(
+        (field) => delete shared[field]
+      );
+      const later = await Task.find({
+        seriesId: existing.seriesId,
+        user: existing.user,
+        occurrenceIndex: { $gt: existing.occurrenceIndex },
+        status: { $ne: 'completed' },
+      });
+      for (const occurrence of later) {
+        const before = snapshotTask(occurrence);
+        occurrence.set(shared);
+        await occurrence.save();
+        await recordChanges(occurrence, before, { user: req.user.userId });
+        await taskScheduler.scheduleTaskNotifications(occurrence._id);
+        emitTaskEvent(req.app, occurrence, 'taskUpdated');
+      }
+    }
+
     // Notify connected clients about the task update
-    req.app.get('io').to(req.user.userId).emit('taskUpdated', task);
+    emitTaskEvent(req.app, task, 'taskUpdated');
 
     res.json(task);
   } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error updating task:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -109,51 +436,215 @@ router.put('/:id', auth, async (req, res) => {
 router.patch('/:id/status', auth, async (req, res) => {
   try {
     const { status } = req.body;
-    const task = await Task.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.userId },
-      {
-        status,
-        completedAt: status === 'completed' ? new Date() : null,
-      },
-      { new: true }
-    );
+    const access = await findAccessibleTask(req.params.id, req.user.userId, 'editor');
+    const { task } = access;
     if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+      return sendAccessError(res, access.status);
     }
 
+    const before = snapshotTask(task);
+    const previousStatus = task.status;
+    task.status = status;
+    task.completedAt = status === 'completed' ? new Date() : null;
+    await task.save();
+    await recordChanges(task, before, { user: req.user.userId });
+
     // Notify connected clients about the status update
-    req.app.get('io').to(req.user.userId).emit('taskUpdated', task);
+    emitTaskEvent(req.app, task, 'taskUpdated');
+
+    await handleStatusChange(req, task, previousStatus);
 
     res.json(task);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error updating task status:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete a task
+// Replace a task's assignees; body is { assignees: [userId, ...] }. An empty
+// list makes the creator responsible again
+router.put('/:id/assignees', auth, async (req, res) => {
+  try {
+    const { task, status } = await findAccessibleTask(req.params.id, req.user.userId, 'editor');
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+
+    const assigneeError = await validateAssignees(task, req.body.assignees);
+    if (assigneeError) {
+      return res.status(400).json({ message: assigneeError });
+    }
+
+    const assignment = applyAssignees(task, req.body.assignees, req.user.userId);
+    await task.save();
+
+    // Reminders follow the assignees
+    await req.app.get('taskScheduler').scheduleTaskNotifications(task._id);
+
+    // Users taken off a personal task lose sight of it
+    const io = req.app.get('io');
+    emitTaskEvent(req.app, task, 'taskUpdated');
+    assignment.removed.forEach((id) => io.to(id).emit('taskUnassigned', task._id));
+    await notifyAssignmentChanges(req, task, assignment);
+
+    res.json(task);
+  } catch (error) {
+    console.error('Error assigning task:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a task's change history, newest first
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const { task, status } = await findAccessibleTask(req.params.id, req.user.userId, 'viewer');
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+
+    const history = await TaskHistory.find({ task: task._id })
+      .sort({ version: -1 })
+      .populate('user', 'name email');
+    res.json(history);
+  } catch (error) {
+    console.error('Error getting task history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revert a task to how it was at a given version
+router.post('/:id/history/:version/revert', auth, async (req, res) => {
+  try {
+    const { task, status } = await findAccessibleTask(req.params.id, req.user.userId, 'editor');
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version) || !(await TaskHistory.exists({ task: task._id, version }))) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    const revertError = await revertTask(req, task, version);
+    if (revertError) {
+      return res.status(400).json({ message: revertError });
+    }
+    res.json(task);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error reverting task:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Undo the most recent change to a task
+router.post('/:id/undo', auth, async (req, res) => {
+  try {
+    const { task, status } = await findAccessibleTask(req.params.id, req.user.userId, 'editor');
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+
+    const last = await TaskHistory.findOne({ task: task._id }).sort({ version: -1 });
+    if (!last || last.version === 1) {
+      return res.status(400).json({ message: 'Nothing to undo' });
+    }
+
+    const revertError = await revertTask(req, task, last.version - 1);
+    if (revertError) {
+      return res.status(400).json({ message: revertError });
+    }
+    res.json(task);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error undoing task change:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a task from the trash
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const { task, status } = await findAccessibleTask(
+      req.params.id, req.user.userId, 'editor', { withDeleted: true }
+    );
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+    if (!task.deletedAt) {
+      return res.status(400).json({ message: 'Task is not in the trash' });
+    }
+
+    task.deletedAt = undefined;
+    task.deletedBy = undefined;
+    await task.save();
+
+    const taskScheduler = req.app.get('taskScheduler');
+    await taskScheduler.scheduleTaskNotifications(task._id);
+
+    // An unfinished task blocks its dependents again
+    if (task.status !== 'completed') {
+      const { blocked } = await getDependents(task);
+      for (const dependent of blocked) {
+        await taskScheduler.scheduleTaskNotifications(dependent._id);
+      }
+    }
+
+    emitTaskEvent(req.app, task, 'taskRestored');
+
+    res.json(task);
+  } catch (error) {
+    console.error('Error restoring task:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a trashed task for good
+router.delete('/:id/permanent', auth, async (req, res) => {
+  try {
+    const { task, status } = await findAccessibleTask(
+      req.params.id, req.user.userId, 'editor', { withDeleted: true }
+    );
+    if (!task) {
+      return sendAccessError(res, status);
+    }
+    if (!task.deletedAt) {
+      return res.status(400).json({ message: 'Move the task to the trash first' });
+    }
+
+    await purgeTasks([task._id]);
+
+    res.json({ message: 'Task permanently deleted' });
+  } catch (error) {
+    console.error('Error permanently deleting task:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move a task to the trash
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const task = await Task.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user.userId,
-    });
+    const { task, status } = await findAccessibleTask(req.params.id, req.user.userId, 'editor');
     if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+      return sendAccessError(res, status);
     }
+    await moveToTrash(req, task);
 
     // Cancel any scheduled notifications
     const taskScheduler = req.app.get('taskScheduler');
-    const jobs = taskScheduler.jobs;
-    if (jobs.has(req.params.id)) {
-      jobs.get(req.params.id).cancel();
-      jobs.delete(req.params.id);
-    }
+    await taskScheduler.cancelTaskNotifications(task._id);
 
     // Notify connected clients about the task deletion
-    req.app.get('io').to(req.user.userId).emit('taskDeleted', task._id);
+    emitTaskEvent(req.app, task, 'taskDeleted', task._id);
 
-    res.json({ message: 'Task deleted' });
+    res.json({ message: 'Task moved to trash' });
   } catch (error) {
     console.error('Error deleting task:', error);
     res.status(500).json({ message: 'Server error' });
@@ -171,51 +662,277 @@ router.get('/insights', auth, async (req, res) => {
       return task.status !== 'completed' && dueDate < new Date();
     });
     
-    const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-    const prompt = `Based on this task data:
-    - Total tasks: ${tasks.length}
-    - Completed tasks: ${completedTasks.length}
-    - Overdue tasks: ${overdueTasks.length}
-    - Average completion time: ${calculateAverageCompletionTime(completedTasks)} hours
-
-    Provide 3 insights about productivity and 3 suggestions for improvement. Return ONLY a JSON object in this exact format:
-    {
-      "insights": ["insight1", "insight2", "insight3"],
-      "suggestions": ["suggestion1", "suggestion2", "suggestion3"]
-    }`;
-
-    try {
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      try {
-        const insights = JSON.parse(response.text());
-        res.json(insights);
-      } catch (parseError) {
-        console.error('Error parsing AI insights:', parseError);
-        // Return default insights if parsing fails
-        res.json({
-          insights: [
-            "You have some tasks that need attention",
-            "Some tasks are overdue and require immediate action",
-            "Task completion rate could be improved"
-          ],
-          suggestions: [
-            "Focus on completing overdue tasks first",
-            "Break down complex tasks into smaller steps",
-            "Set realistic deadlines for new tasks"
-          ]
-        });
-      }
-    } catch (aiError) {
-      console.error('Error getting AI insights:', aiError);
-      throw new Error('Failed to generate AI insights');
-    }
+    const insights = await req.app.get('aiService').run('insights', {
+      total: tasks.length,
+      completed: completedTasks.length,
+      overdue: overdueTasks.length,
+      averageCompletionHours: calculateAverageCompletionTime(completedTasks),
+    });
+    res.json(insights);
   } catch (error) {
     console.error('Error getting insights:', error);
     res.status(500).json({ message: 'Failed to get insights' });
   }
 });
 
+// Plan pending and overdue tasks into time blocks for today or this week.
+// Query: range=day|week, workStart/workEnd=HH:MM and workDays=1,2,3 override
+// the user's working hours, ai=true asks the AI provider to review the plan
+router.get('/plan', auth, async (req, res) => {
+  try {
+    const range = req.query.range || 'day';
+    if (!['day', 'week'].includes(range)) {
+      return res.status(400).json({ message: 'range must be day or week' });
+    }
+
+    const user = await User.findById(req.user.userId).select('timezone workingHours');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const workingHours = {
+      days: user.workingHours?.days ?? [1, 2, 3, 4, 5],
+      start: req.query.workStart || user.workingHours?.start || '09:00',
+      end: req.query.workEnd || user.workingHours?.end || '17:00',
+    };
+    if (req.query.workDays) {
+      workingHours.days = String(req.query.workDays).split(',').map(Number);
+    }
+    if (
+      parseClockTime(workingHours.start) === null ||
+      parseClockTime(workingHours.end) === null ||
+      !workingHours.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    ) {
+      return res.status(400).json({ message: 'Invalid working hours' });
+    }
+
+    // Plan what the user is responsible for, including tasks assigned to them
+    const tasks = await annotateBlocked(
+      await Task.find({ ...responsibleFilter(req.user.userId), status: { $ne: 'completed' } })
+    );
+    const options = { tasks, timeZone: user.timezone, workingHours, range, now: new Date() };
+    let plan = planSchedule(options);
+
+    if (req.query.ai === 'true') {
+      const review = await req.app.get('aiService').run('reviewPlan', {
+        range,
+        tasks: plan.tasks.map((task) => ({
+          id: task.task.toString(),
+          title: task.title,
+          priority: task.priority,
+          estimatedMinutes: task.estimatedMinutes,
+          dueDate: new Date(task.dueDate).toISOString(),
+          issue: task.issue,
+        })),
+      });
+
+      // Only take a suggested order if it doesn't put more tasks at risk
+      let reordered = false;
+      if (review.order) {
+        const alternative = planSchedule({ ...options, order: review.order });
+        if (alternative.atRisk.length <= plan.atRisk.length) {
+          plan = alternative;
+          reordered = true;
+        }
+      }
+      plan.review = { summary: review.summary, reordered };
+    }
+
+    res.json(plan);
+  } catch (error) {
+    console.error('Error planning tasks:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Subtasks and checklist items
+router.use(taskTransferRoutes);
+router.use('/:id', subtaskRoutes);
+router.use('/:id', commentRoutes);
+
+// Parse quick-add text with the local parser, asking the AI provider only for
+// the fields it couldn't find. Returns the task fields, which fields are still
+// missing and where each value came from
+async function previewQuickAdd(req, text) {
+  const user = await User.findById(req.user.userId).select('timezone');
+  const timeZone = user?.timezone || 'UTC';
+  const now = new Date();
+
+  const { task, missing } = parseQuickAdd(text, { now, timeZone });
+  const sources = {};
+  Object.keys(task).forEach((field) => {
+    if (task[field]) sources[field] = 'parser';
+  });
+
+  if (missing.includes('title') || missing.includes('dueDate')) {
+    const today = getZonedParts(now, timeZone);
+    const filled = await req.app.get('aiService').run('parseTask', {
+      text,
+      today: new Date(Date.UTC(today.year, today.month - 1, today.day))
+        .toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+      missing,
+    });
+
+    for (const field of missing) {
+      if (!filled[field]) continue;
+      if (field === 'dueDate') {
+        const [, year, month, day, hour, minute] = filled.dueDate.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/).map(Number);
+        task.dueDate = zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+      } else {
+        task[field] = filled[field];
+      }
+      sources[field] = 'ai';
+    }
+  }
+
+  // Fall back to the whole text as the title, and schema defaults otherwise
+  if (!task.title) {
+    task.title = text.trim();
+    sources.title = 'text';
+  }
+  const stillMissing = missing.filter((field) => !task[field]);
+  if (!task.priority) {
+    task.priority = 'medium';
+    sources.priority = 'default';
+  }
+  if (!task.category) {
+    task.category = 'general';
+    sources.category = 'default';
+  }
+
+  const fields = {};
+  Object.keys(task).forEach((field) => {
+    if (task[field] !== null) fields[field] = task[field];
+  });
+
+  return { task: fields, missing: stillMissing, sources };
+}
+
+// Tell users they were assigned to or taken off a task, except whoever made
+// the change
+async function notifyAssignmentChanges(req, task, { added, removed }) {
+  const others = (ids) => ids.filter((id) => id !== req.user.userId);
+  if (others(added).length === 0 && others(removed).length === 0) return;
+
+  const user = await User.findById(req.user.userId).select('name');
+  const taskScheduler = req.app.get('taskScheduler');
+  await taskScheduler.notifyAssignment(task, others(added), 'assigned', user.name);
+  await taskScheduler.notifyAssignment(task, others(removed), 'unassigned', user.name);
+}
+
+async function canEditProject(userId, projectId) {
+  const projectIds = await getProjectIds(userId, 'editor');
+  return projectIds.some((id) => id.toString() === String(projectId));
+}
+
+// Bring a task back to an earlier version, recorded as a change of its own.
+// Returns an error message when the old version can't be restored
+async function revertTask(req, task, version) {
+  const before = snapshotTask(task);
+  const previousStatus = task.status;
+
+  const state = await getStateAtVersion(task, version);
+  // Dependencies may have changed since, so the old list could now form a cycle
+  if (JSON.stringify(state.dependsOn) !== JSON.stringify(before.dependsOn)) {
+    const dependencyError = await validateDependencies(req.user.userId, task._id, state.dependsOn || []);
+    if (dependencyError) return dependencyError;
+  }
+
+  applySnapshot(task, state);
+  await task.save();
+  await recordChanges(task, before, { user: req.user.userId, action: 'revert', revertedTo: version });
+
+  await req.app.get('taskScheduler').scheduleTaskNotifications(task._id);
+  if (task.status !== previousStatus) {
+    await updateDependents(req.app, task, previousStatus);
+  }
+  emitTaskEvent(req.app, task, 'taskUpdated');
+  return null;
+}
+
+// Soft-delete a task. Trashed tasks no longer block anything, so an
+// unfinished one may have been the last thing blocking its dependents
+async function moveToTrash(req, task) {
+  task.deletedAt = new Date();
+  task.deletedBy = req.user.userId;
+  await task.save();
+  if (task.status === 'completed') return;
+
+  const taskScheduler = req.app.get('taskScheduler');
+  const { actionable } = await getDependents(task);
+  for (const dependent of actionable) {
+    await taskScheduler.notifyTaskUnblocked(dependent);
+  }
+}
+
+// Everything that follows a task's status changing, wherever it changed:
+// dependents are unblocked or blocked again, a reopened task gets back the
+// reminders dropped while it was completed, and completing an occurrence of
+// a recurring task brings up the next one
+async function handleStatusChange(req, task, previousStatus) {
+  if (task.status === previousStatus) return;
+  await updateDependents(req.app, task, previousStatus);
+
+  if (previousStatus === 'completed' && task.status !== 'completed') {
+    await req.app.get('taskScheduler').scheduleTaskNotifications(task._id);
+  }
+
+  if (task.status === 'completed' && task.recurrence?.frequency) {
+    await createNextOccurrence(req, task);
+  }
+}
+
+async function createNextOccurrence(req, task) {
+  // Completing the same occurrence twice must not spawn a second successor,
+  // even when the successor has since been moved to the trash
+  const existing = await Task.findOne({
+    seriesId: task.seriesId,
+    occurrenceIndex: { $gt: task.occurrenceIndex },
+  }).setOptions({ withDeleted: true });
+  if (existing) return existing;
+
+  // Occurrences fall on the owner's calendar, whoever completed this one
+  const owner = await User.findById(task.user).select('timezone');
+  const anchor = task.occurrenceDate || task.dueDate;
+  const next = getNextOccurrence(task.recurrence, anchor, task.occurrenceIndex, owner?.timezone);
+  if (!next) return null;
+
+  const nextTask = new Task({
+    title: task.title,
+    description: task.description,
+    dueDate: next.date,
+    priority: task.priority,
+    category: task.category,
+    user: task.user,
+    assignees: task.assignees,
+    project: task.project,
+    aiSuggestions: task.aiSuggestions,
+    // Each occurrence starts with a fresh copy of the subtasks and checklist
+    subtasks: task.subtasks.map(({ title, order }) => ({ title, order })),
+    checklist: task.checklist.map(({ text, order }) => ({ text, order })),
+    recurrence: task.recurrence,
+    seriesId: task.seriesId,
+    occurrenceIndex: next.index,
+    occurrenceDate: next.date,
+  });
+
+  // Keep an absolute reminder at the same distance before the due date
+  if (task.reminderTime) {
+    const offset = task.dueDate - task.reminderTime;
+    nextTask.reminderTime = new Date(next.date.getTime() - offset);
+  }
+
+  await nextTask.save();
+  await recordChanges(nextTask, null, { source: 'scheduler' });
+
+  const taskScheduler = req.app.get('taskScheduler');
+  await taskScheduler.scheduleTaskNotifications(nextTask._id);
+
+  emitTaskEvent(req.app, nextTask, 'taskCreated');
+
+  return nextTask;
+}
+
 function calculateAverageCompletionTime(tasks) {
   if (tasks.length === 0) return 0;
   
@@ -1,15 +1,32 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
-const Notification = require('../models/Notification');
+const {
+  SessionError,
+  createSession,
+  refreshSession,
+  revokeSessions,
+} = require('../utils/sessions');
+
+const NOTIFICATION_SETTINGS_FIELDS = [
+  "enabled",
+  "priorities",
+  "reminderTime",
+  "reminderOffsets",
+  "quietHours",
+  "channel",
+  "emailOptOuts",
+  "digest",
+];
 
 // Register
 router.post("/register", async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, timezone } = req.body;
 
     // Check if user exists
     let user = await User.findOne({ email });
@@ -22,6 +39,7 @@ router.post("/register", async (req, res) => {
       name,
       email,
       password,
+      timezone,
       notificationSettings: {
         enabled: true,
         priorities: ["high", "medium"],
@@ -29,23 +47,25 @@ router.post("/register", async (req, res) => {
       },
     });
 
-    // Generate token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
-
     await user.save();
 
+    // Sign the new user in on this device
+    const tokens = await createSession(user, req);
+
     res.status(201).json({
-      token,
+      ...tokens,
       user: {
         _id: user._id,
         name: user.name,
         email: user.email,
+        timezone: user.timezone,
         notificationSettings: user.notificationSettings,
       },
     });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error in register:", error);
     res.status(500).json({ message: "Server error" });
   }
@@ -73,19 +93,18 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    // Generate token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+    // Start a session for this device
+    const tokens = await createSession(user, req);
 
     console.log("Login successful for:", user.email);
 
     res.json({
-      token,
+      ...tokens,
       user: {
         _id: user._id,
         name: user.name,
         email: user.email,
+        timezone: user.timezone,
         notificationSettings: user.notificationSettings,
       },
     });
@@ -95,6 +114,89 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token. The refresh token is
+// rotated, so the one in the response replaces it
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (typeof refreshToken !== "string") {
+      return res.status(400).json({ message: "refreshToken is required" });
+    }
+    res.json(await refreshSession(refreshToken, req));
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error("Error refreshing session:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Log out this device
+router.post("/logout", auth, async (req, res) => {
+  try {
+    await revokeSessions(req.app.get("io"), { _id: req.user.sid });
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Log out every device, including this one
+router.post("/logout-all", auth, async (req, res) => {
+  try {
+    const count = await revokeSessions(req.app.get("io"), { user: req.user.userId });
+    res.json({ message: `Logged out of ${count} session${count === 1 ? "" : "s"}` });
+  } catch (error) {
+    console.error("Error logging out all sessions:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Active sessions, most recently used first; `current` marks this device's
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("deviceName userAgent ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 });
+
+    res.json(
+      sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.user.sid,
+      }))
+    );
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Revoke one of the user's sessions, e.g. a lost device
+router.delete("/sessions/:id", auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    const count = await revokeSessions(req.app.get("io"), {
+      _id: req.params.id,
+      user: req.user.userId,
+    });
+    if (count === 0) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // Get current user
 router.get("/me", auth, async (req, res) => {
   try {
@@ -106,6 +208,43 @@ router.get("/me", auth, async (req, res) => {
   }
 });
 
+// Update profile
+router.patch("/profile", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (req.body.name !== undefined) user.name = req.body.name;
+    if (req.body.timezone !== undefined) user.timezone = req.body.timezone;
+    if (req.body.workingHours !== undefined) user.workingHours = req.body.workingHours;
+    const reschedule = user.isModified("timezone") || user.isModified("workingHours");
+    await user.save();
+
+    // Reminder times depend on the time zone through quiet hours
+    if (reschedule) {
+      const taskScheduler = req.app.get("taskScheduler");
+      await taskScheduler.rescheduleAllNotifications(req.user.userId);
+    }
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      timezone: user.timezone,
+      workingHours: user.workingHours,
+      notificationSettings: user.notificationSettings,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error updating profile:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // Update settings
 router.patch("/settings", auth, async (req, res) => {
   try {
@@ -159,11 +298,12 @@ router.put("/notification-settings", auth, async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    user.notificationSettings = {
-      enabled: req.body.enabled,
-      priorities: req.body.priorities,
-      reminderTime: req.body.reminderTime,
-    };
+    // Only the fields sent change, so older clients that don't know about
+    // newer settings leave them alone
+    for (const key of NOTIFICATION_SETTINGS_FIELDS) {
+      if (req.body[key] !== undefined) user.notificationSettings[key] = req.body[key];
+    }
+    user.markModified("notificationSettings");
 
     await user.save();
 
@@ -173,52 +313,10 @@ router.put("/notification-settings", auth, async (req, res) => {
 
     res.json(user.notificationSettings);
   } catch (error) {
-    console.error("Error updating notification settings:", error);
-    res.status(500).json({ message: "Server error" });
-  }
-});
-
-// Get user's notifications
-router.get("/notifications", auth, async (req, res) => {
-  try {
-    const notifications = await Notification.find({ user: req.user.userId })
-      .sort({ createdAt: -1 })
-      .limit(50);
-    res.json(notifications);
-  } catch (error) {
-    console.error("Error getting notifications:", error);
-    res.status(500).json({ message: "Server error" });
-  }
-});
-
-// Mark notification as read
-router.patch("/notifications/:id", auth, async (req, res) => {
-  try {
-    const notification = await Notification.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.userId },
-      { read: true },
-      { new: true }
-    );
-    if (!notification) {
-      return res.status(404).json({ message: "Notification not found" });
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
     }
-    res.json(notification);
-  } catch (error) {
-    console.error("Error updating notification:", error);
-    res.status(500).json({ message: "Server error" });
-  }
-});
-
-// Mark all notifications as read
-router.post("/notifications/read-all", auth, async (req, res) => {
-  try {
-    await Notification.updateMany(
-      { user: req.user.userId, read: false },
-      { read: true }
-    );
-    res.json({ message: "All notifications marked as read" });
-  } catch (error) {
-    console.error("Error marking all notifications as read:", error);
+    console.error("Error updating notification settings:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const auth = require('../middleware/auth');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_WEBHOOKS = 20;
+const EDITABLE_FIELDS = ['url', 'events', 'description', 'active'];
+
+function handleError(res, error, label) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`Error ${label}:`, error);
+  res.status(500).json({ message: 'Server error' });
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function pickFields(body) {
+  return Object.fromEntries(EDITABLE_FIELDS.filter((field) => field in body).map((field) => [field, body[field]]));
+}
+
+// Load one of the user's webhooks, without its secret. Sends a 404 and
+// returns null otherwise
+async function loadWebhook(req, res) {
+  const webhook = mongoose.isValidObjectId(req.params.id)
+    ? await Webhook.findOne({ _id: req.params.id, user: req.user.userId })
+    : null;
+  if (!webhook) {
+    res.status(404).json({ message: 'Webhook not found' });
+  }
+  return webhook;
+}
+
+// List the user's webhooks. Secrets are never listed
+router.get('/', auth, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ user: req.user.userId }).sort({ createdAt: -1 });
+    res.json(webhooks);
+  } catch (error) {
+    handleError(res, error, 'fetching webhooks');
+  }
+});
+
+// Register an endpoint for { url, events, description }. The signing secret
+// is only returned here and when it is rotated
+router.post('/', auth, async (req, res) => {
+  try {
+    const count = await Webhook.countDocuments({ user: req.user.userId });
+    if (count >= MAX_WEBHOOKS) {
+      return res.status(400).json({ message: `At most ${MAX_WEBHOOKS} webhooks per user` });
+    }
+
+    const webhook = new Webhook({
+      ...pickFields(req.body),
+      user: req.user.userId,
+      secret: generateSecret(),
+    });
+    await webhook.save();
+    // A new document still holds the secret it was created with
+    res.status(201).json(webhook);
+  } catch (error) {
+    handleError(res, error, 'creating webhook');
+  }
+});
+
+// Change a webhook's url, events, description or active flag
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    webhook.set(pickFields(req.body));
+    await webhook.save();
+    res.json(webhook);
+  } catch (error) {
+    handleError(res, error, 'updating webhook');
+  }
+});
+
+// Replace the signing secret. Deliveries still queued are signed with the new one
+router.post('/:id/secret', auth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    webhook.secret = generateSecret();
+    await webhook.save();
+    res.json({ secret: webhook.secret });
+  } catch (error) {
+    handleError(res, error, 'rotating webhook secret');
+  }
+});
+
+// Delete a webhook along with its delivery log
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    handleError(res, error, 'deleting webhook');
+  }
+});
+
+// Delivery log, newest first. Supports ?status, ?limit and ?before (a
+// delivery id to page back from)
+router.get('/:id/deliveries', auth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.before) {
+      if (!mongoose.isValidObjectId(req.query.before)) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      filter._id = { $lt: req.query.before };
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const deliveries = await WebhookDelivery.find(filter).sort({ _id: -1 }).limit(limit);
+    res.json({
+      deliveries,
+      nextCursor: deliveries.length === limit ? deliveries[deliveries.length - 1]._id : null,
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching webhook deliveries');
+  }
+});
+
+// Send a logged delivery again as a new delivery
+router.post('/:id/deliveries/:deliveryId/redeliver', auth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+    if (!webhook.active) {
+      return res.status(400).json({ message: 'Webhook is disabled' });
+    }
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+      : null;
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const redelivery = await req.app.get('webhooks').redeliver(delivery);
+    res.status(202).json(redelivery);
+  } catch (error) {
+    handleError(res, error, 'redelivering webhook');
+  }
+});
+
+module.exports = router;
@@ -3,13 +3,31 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const http = require('http');
 const socketIO = require('socket.io');
-const jwt = require('jsonwebtoken');
 const TaskScheduler = require('./utils/taskScheduler');
+const WebhookDispatcher = require('./utils/webhookDispatcher');
+const { createAIService } = require('./services/ai');
+const { createEmailService } = require('./services/email');
+const { createPushService } = require('./services/push');
 const userRoutes = require('./routes/users');
 const taskRoutes = require('./routes/tasks');
+const notificationRoutes = require('./routes/notifications');
+const projectRoutes = require('./routes/projects');
+const calendarRoutes = require('./routes/calendar');
+const webhookRoutes = require('./routes/webhooks');
+const emailRoutes = require('./routes/email');
+const pushRoutes = require('./routes/push');
 const Notification = require('./models/Notification');
+const { getProjectIds, findAccessibleTask } = require('./utils/permissions');
+const { projectRoom, taskViewRoom } = require('./utils/taskEvents');
+const { sessionRoom, verifyAccessToken } = require('./utils/sessions');
 require('dotenv').config();
 
+// Tokens can't be signed or checked without a secret, so don't start at all
+if (!process.env.JWT_SECRET) {
+  console.error("JWT_SECRET is not set; refusing to start");
+  process.exit(1);
+}
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIO(server, {
@@ -32,34 +50,104 @@ global.io = io;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+
+// Import routes parse their own JSON bodies, with a larger size limit
+const OWN_JSON_PARSER_PATHS = ["/api/tasks/import", "/api/calendar/import"];
+const jsonParser = express.json();
+app.use((req, res, next) => {
+  if (OWN_JSON_PARSER_PATHS.includes(req.path)) return next();
+  jsonParser(req, res, next);
+});
+
+// Outbound webhooks are queued from the same places that emit socket events
+const webhookDispatcher = new WebhookDispatcher();
 
 // Initialize task scheduler
-const taskScheduler = new TaskScheduler();
+const pushService = createPushService();
+const taskScheduler = new TaskScheduler({
+  emailService: createEmailService(),
+  pushService,
+  webhooks: webhookDispatcher,
+});
 app.set("taskScheduler", taskScheduler);
+app.set("pushService", pushService);
+app.set("aiService", createAIService());
 app.set("io", io);
+app.set("webhooks", webhookDispatcher);
 
 // Socket.IO connection handling
 io.on("connection", (socket) => {
   console.log("Client connected:", socket.id);
 
   // Handle client authentication
-  socket.on("authenticate", (token) => {
+  socket.on("authenticate", async (token) => {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Revoked sessions are refused too; the client should refresh its
+      // token and authenticate again
+      const decoded = await verifyAccessToken(token);
+      if (!decoded) {
+        socket.emit("authenticationFailed");
+        return;
+      }
       socket.userId = decoded.userId;
       socket.join(decoded.userId.toString()); // Join a room specific to this user
+      // Revoking the session disconnects the socket through this room
+      socket.join(sessionRoom(decoded.sid));
+      // Shared project tasks are broadcast to a room per project
+      const projectIds = await getProjectIds(decoded.userId);
+      projectIds.forEach((projectId) => socket.join(projectRoom(projectId)));
       console.log("User authenticated:", decoded.userId);
+      // Catch the client up on notifications sent while it was away
+      await taskScheduler.replayNotifications(socket, decoded.userId);
     } catch (error) {
       console.error("Authentication failed:", error);
     }
   });
 
-  // Handle notification acknowledgment
+  // Clients join a task's room while it is open to get its comments live
+  socket.on("viewTask", async (taskId) => {
+    if (!socket.userId) return;
+    try {
+      const { task } = await findAccessibleTask(taskId, socket.userId, "viewer");
+      if (task) socket.join(taskViewRoom(task._id));
+    } catch (error) {
+      console.error("Error joining task room:", error);
+    }
+  });
+
+  socket.on("leaveTask", (taskId) => {
+    socket.leave(taskViewRoom(taskId));
+  });
+
+  // Clients acknowledge each notification they receive, live or replayed,
+  // with its id or an array of ids
+  socket.on("notificationReceived", async (notificationIds) => {
+    if (!socket.userId) return;
+    try {
+      const ids = [].concat(notificationIds).filter((id) => mongoose.isValidObjectId(id));
+      await Notification.updateMany(
+        { _id: { $in: ids }, user: socket.userId, deliveredAt: null },
+        { deliveredAt: new Date() }
+      );
+    } catch (error) {
+      console.error("Error acknowledging notifications:", error);
+    }
+  });
+
+  // Handle notification read acknowledgment
   socket.on("notificationRead", async (notificationId) => {
+    if (!socket.userId || !mongoose.isValidObjectId(notificationId)) return;
     try {
-      // Update notification status in database
-      await Notification.findByIdAndUpdate(notificationId, { read: true });
+      // A read notification was evidently delivered too
+      const readAt = new Date();
+      const notification = await Notification.findOneAndUpdate(
+        { _id: notificationId, user: socket.userId },
+        [{ $set: { read: true, readAt, deliveredAt: { $ifNull: ["$deliveredAt", readAt] } } }]
+      );
+      // Keep the user's other open sessions in sync
+      if (notification) {
+        socket.to(socket.userId.toString()).emit("notificationRead", { ids: [notification._id], readAt });
+      }
     } catch (error) {
       console.error("Error marking notification as read:", error);
     }
@@ -77,6 +165,12 @@ io.on("connection", (socket) => {
 // Routes
 app.use("/api/users", userRoutes);
 app.use("/api/tasks", taskRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/email", emailRoutes);
+app.use("/api/push", pushRoutes);
 
 // Connect to MongoDB
 mongoose
@@ -90,6 +184,7 @@ mongoose
     });
     // Initialize task scheduler after DB connection
     taskScheduler.init();
+    webhookDispatcher.startWorker();
   })
   .catch((error) => {
     console.error("MongoDB connection error:", error);
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const operations = require('./operations');
+const GeminiProvider = require('./providers/gemini');
+const OpenAICompatibleProvider = require('./providers/openaiCompatible');
+const RuleBasedProvider = require('./providers/ruleBased');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_CACHE_SIZE = 500;
+
+// Models often wrap JSON in prose or ```json fences; pull out the JSON value
+function parseJSON(text) {
+  const unfenced = text.replace(/```(?:json)?/gi, '').trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    const match = unfenced.match(/[[{][\s\S]*[\]}]/);
+    if (!match) throw error;
+    return JSON.parse(match[0]);
+  }
+}
+
+function withTimeout(promise, ms, controller) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`AI request timed out after ${ms}ms`));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class AIService {
+  constructor({ provider, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, cacheSize = DEFAULT_CACHE_SIZE }) {
+    this.provider = provider;
+    this.fallback = provider instanceof RuleBasedProvider ? provider : new RuleBasedProvider();
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.cacheSize = cacheSize;
+    this.cache = new Map();
+  }
+
+  cacheKey(operation, input) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([this.provider.name, operation, input]))
+      .digest('hex');
+  }
+
+  // Least-recently-used cache on top of Map's insertion order
+  getCached(key) {
+    if (!this.cache.has(key)) return undefined;
+    const value = this.cache.get(key);
+    this.cache.delete(key);
+    this.cache.set(key, value);
+    return value;
+  }
+
+  setCached(key, value) {
+    this.cache.set(key, value);
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  // Run an operation, returning a validated result. Falls back to the
+  // rule-based provider when the model keeps failing, so this never rejects
+  // for a known operation
+  async run(operation, input) {
+    const definition = operations[operation];
+    if (!definition) {
+      throw new Error(`Unknown AI operation "${operation}"`);
+    }
+
+    const key = this.cacheKey(operation, input);
+    const cached = this.getCached(key);
+    if (cached !== undefined) return cached;
+
+    if (this.provider === this.fallback) {
+      const result = this.fallback.run(operation, input);
+      this.setCached(key, result);
+      return result;
+    }
+
+    const prompt = definition.buildPrompt(input);
+    let lastError;
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      try {
+        const controller = new AbortController();
+        const text = await withTimeout(
+          this.provider.generateText(prompt, { signal: controller.signal }),
+          this.timeoutMs,
+          controller
+        );
+        const result = definition.validate(parseJSON(text));
+        this.setCached(key, result);
+        return result;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    // Fallback answers aren't cached so the model gets another chance next time
+    console.error(`AI ${operation} failed with ${this.provider.name}, using rule-based fallback:`, lastError);
+    return this.fallback.run(operation, input);
+  }
+}
+
+// Pick the provider from configuration. AI_PROVIDER may be "gemini", "openai"
+// or "rule-based"; without it Gemini is used when a key is set
+function createProvider(env) {
+  const name = env.AI_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'rule-based');
+
+  switch (name) {
+    case 'gemini':
+      return new GeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL,
+      });
+    case 'rule-based':
+      return new RuleBasedProvider();
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${name}"`);
+  }
+}
+
+function createAIService(env = process.env) {
+  return new AIService({
+    provider: createProvider(env),
+    timeoutMs: parseInt(env.AI_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+    retries: env.AI_RETRIES !== undefined ? parseInt(env.AI_RETRIES, 10) : DEFAULT_RETRIES,
+    cacheSize: parseInt(env.AI_CACHE_SIZE, 10) || DEFAULT_CACHE_SIZE,
+  });
+}
+
+module.exports = {
+  AIService,
+  createAIService,
+};
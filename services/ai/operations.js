@@ -0,0 +1,105 @@
+// What the AI layer can be asked to do. Each operation builds a prompt for
+// model providers and validates/normalizes the parsed reply; the rule-based
+// provider implements the same operations directly
+
+function stringList(value, { min = 1, max = 5 } = {}) {
+  if (!Array.isArray(value)) throw new Error('Expected an array of strings');
+  const items = value
+    .filter((item) => typeof item === 'string' && item.trim())
+    .map((item) => item.trim());
+  if (items.length < min) throw new Error(`Expected at least ${min} non-empty strings`);
+  return items.slice(0, max);
+}
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+module.exports = {
+  suggestions: {
+    buildPrompt: ({ title, description, dueDate, priority }) => `Given this task:
+Title: ${title}
+Description: ${description || 'No description provided'}
+Due Date: ${dueDate ? new Date(dueDate).toISOString() : 'None'}
+Priority: ${priority}
+
+Provide 2-3 concise, actionable suggestions to help complete this task efficiently. Format your response as a JSON array of strings. Example:
+["Break down the task into smaller steps", "Set reminders for key milestones"]`,
+    validate: (output) => stringList(output, { max: 3 }),
+  },
+
+  insights: {
+    buildPrompt: ({ total, completed, overdue, averageCompletionHours }) => `Based on this task data:
+- Total tasks: ${total}
+- Completed tasks: ${completed}
+- Overdue tasks: ${overdue}
+- Average completion time: ${averageCompletionHours} hours
+
+Provide 3 insights about productivity and 3 suggestions for improvement. Return ONLY a JSON object in this exact format:
+{
+  "insights": ["insight1", "insight2", "insight3"],
+  "suggestions": ["suggestion1", "suggestion2", "suggestion3"]
+}`,
+    validate: (output) => {
+      if (!output || typeof output !== 'object') throw new Error('Expected an object');
+      return {
+        insights: stringList(output.insights, { max: 3 }),
+        suggestions: stringList(output.suggestions, { max: 3 }),
+      };
+    },
+  },
+
+  // Fill in task fields the local quick-add parser couldn't find. Dates come
+  // back as local wall-clock time; the caller converts them to the user's zone
+  parseTask: {
+    buildPrompt: ({ text, today, missing }) => `Today is ${today}. A user typed this to create a task:
+"${text}"
+
+Extract these fields: ${missing.join(', ')}. Return ONLY a JSON object, omitting fields you cannot determine:
+{
+  "title": "short task title without dates or tags",
+  "dueDate": "YYYY-MM-DDTHH:mm in the user's local time",
+  "priority": "low | medium | high",
+  "category": "single lowercase word"
+}`,
+    validate: (output) => {
+      if (!output || typeof output !== 'object' || Array.isArray(output)) {
+        throw new Error('Expected an object');
+      }
+      const result = {};
+      if (typeof output.title === 'string' && output.title.trim()) {
+        result.title = output.title.trim();
+      }
+      if (typeof output.dueDate === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(output.dueDate)) {
+        result.dueDate = output.dueDate.slice(0, 16);
+      }
+      if (PRIORITIES.includes(output.priority)) {
+        result.priority = output.priority;
+      }
+      if (typeof output.category === 'string' && /^[\w-]+$/.test(output.category.trim())) {
+        result.category = output.category.trim().toLowerCase();
+      }
+      return result;
+    },
+  },
+
+  // Explain a computed schedule and optionally suggest a different task order
+  reviewPlan: {
+    buildPrompt: ({ range, tasks }) => `Here is a ${range} plan produced by a scheduler, in order:
+${tasks.map((task, index) => `${index + 1}. [${task.id}] ${task.title} (priority ${task.priority}, ${task.estimatedMinutes} min, due ${task.dueDate}${task.issue ? `, problem: ${task.issue}` : ''})`).join('\n')}
+
+Explain the plan to the user in 2-3 sentences. If a different order would clearly be better, list the task ids in that order. Return ONLY a JSON object:
+{
+  "summary": "explanation",
+  "order": ["id1", "id2"]
+}`,
+    validate: (output) => {
+      if (!output || typeof output.summary !== 'string' || !output.summary.trim()) {
+        throw new Error('Expected an object with a summary');
+      }
+      const result = { summary: output.summary.trim() };
+      if (Array.isArray(output.order) && output.order.every((id) => typeof id === 'string')) {
+        result.order = output.order;
+      }
+      return result;
+    },
+  },
+};
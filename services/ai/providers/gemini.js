@@ -0,0 +1,20 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  constructor({ apiKey, model = 'gemini-pro' }) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is required for the gemini AI provider');
+    }
+    this.name = `gemini:${model}`;
+    this.model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+  }
+
+  // The SDK takes no abort signal, so the caller's timeout just stops waiting
+  async generateText(prompt) {
+    const result = await this.model.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+}
+
+module.exports = GeminiProvider;
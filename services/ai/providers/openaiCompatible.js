@@ -0,0 +1,45 @@
+// Any server exposing the OpenAI chat completions API, e.g. Ollama, LM Studio
+// or llama.cpp running locally
+class OpenAICompatibleProvider {
+  constructor({ baseUrl = 'http://localhost:11434/v1', apiKey, model }) {
+    if (!model) {
+      throw new Error('OPENAI_MODEL is required for the openai AI provider');
+    }
+    this.name = `openai:${model}`;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  async generateText(prompt, { signal } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: this.model,
+        temperature: 0,
+        messages: [
+          { role: 'system', content: 'You are a productivity assistant. Reply with JSON only.' },
+          { role: 'user', content: prompt },
+        ],
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`AI endpoint responded with ${response.status}`);
+    }
+
+    const body = await response.json();
+    const text = body.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('AI endpoint returned no message content');
+    }
+    return text;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,122 @@
+// Deterministic answers computed locally, used when no model is configured,
+// when running offline and as the fallback when a model call fails. Outputs
+// depend only on the input so they are stable across runs
+
+const DEFAULT_SUGGESTIONS = [
+  'Break down the task into smaller steps',
+  'Set reminders for key milestones',
+];
+
+const KEYWORD_SUGGESTIONS = [
+  [/\b(meeting|standup|stand-up|call|sync|interview)\b/i, 'Prepare an agenda and share it beforehand'],
+  [/\b(report|document|doc|write|draft|proposal|presentation)\b/i, 'Outline the sections first, then fill in the details'],
+  [/\b(review|feedback|approve)\b/i, 'Write down the criteria you will review against before starting'],
+  [/\b(email|reply|respond|follow up|follow-up)\b/i, 'Set aside one short block to draft and send it in one go'],
+  [/\b(bug|fix|debug|deploy|release|issue)\b/i, 'Reproduce the problem and note the expected behaviour first'],
+  [/\b(research|learn|study|read|explore)\b/i, 'Decide what question you need answered and time-box the research'],
+  [/\b(buy|order|pay|invoice|expense|book)\b/i, 'Gather the details you need (amounts, references) before starting'],
+];
+
+class RuleBasedProvider {
+  constructor() {
+    this.name = 'rule-based';
+  }
+
+  run(operation, input) {
+    if (typeof this[operation] !== 'function') {
+      throw new Error(`Rule-based provider has no "${operation}" operation`);
+    }
+    return this[operation](input);
+  }
+
+  suggestions({ title = '', description = '', priority }) {
+    const text = `${title} ${description}`;
+    const suggestions = [];
+
+    for (const [pattern, suggestion] of KEYWORD_SUGGESTIONS) {
+      if (pattern.test(text)) suggestions.push(suggestion);
+    }
+    if (priority === 'high') {
+      suggestions.push('Block focused time for this before lower-priority work');
+    } else if (priority === 'low') {
+      suggestions.push('Batch this with other small tasks');
+    }
+    if (!description.trim()) {
+      suggestions.push('Add a short description of what "done" looks like');
+    }
+    suggestions.push(...DEFAULT_SUGGESTIONS);
+
+    return [...new Set(suggestions)].slice(0, 3);
+  }
+
+  // The local quick-add parser already applied every rule we have
+  parseTask() {
+    return {};
+  }
+
+  reviewPlan({ range, tasks }) {
+    if (tasks.length === 0) {
+      return { summary: `Nothing to schedule for this ${range}.` };
+    }
+
+    const sentences = [
+      `Tasks are ordered by deadline, with higher priority first when deadlines tie, starting with "${tasks[0].title}".`,
+    ];
+    const late = tasks.filter((task) => ['misses_deadline', 'insufficient_time'].includes(task.issue));
+    const overdue = tasks.filter((task) => task.issue === 'overdue');
+    if (overdue.length > 0) {
+      sentences.push(`${overdue.length} overdue task${overdue.length === 1 ? ' is' : 's are'} scheduled first so they stop piling up.`);
+    }
+    if (late.length > 0) {
+      sentences.push(`${late.map((task) => `"${task.title}"`).join(', ')} cannot be finished before the deadline in your working hours; consider moving the deadline or reducing scope.`);
+    } else {
+      sentences.push('Everything due in this period fits before its deadline.');
+    }
+
+    return { summary: sentences.join(' ') };
+  }
+
+  insights({ total = 0, completed = 0, overdue = 0, averageCompletionHours = 0 }) {
+    const completionRate = total === 0 ? 0 : Math.round((completed / total) * 100);
+    const insights = [];
+    const suggestions = [];
+
+    if (total === 0) {
+      insights.push('You have not created any tasks yet');
+      suggestions.push('Add the tasks you are working on this week');
+    } else {
+      insights.push(`You have completed ${completed} of ${total} tasks (${completionRate}%)`);
+    }
+
+    if (overdue > 0) {
+      insights.push(`${overdue} task${overdue === 1 ? ' is' : 's are'} overdue`);
+      suggestions.push('Focus on completing overdue tasks first');
+      suggestions.push('Reschedule overdue tasks you cannot finish soon to realistic dates');
+    } else if (total > 0) {
+      insights.push('Nothing is overdue');
+    }
+
+    if (completed > 0) {
+      insights.push(`Tasks take about ${averageCompletionHours} hours from creation to completion on average`);
+      if (averageCompletionHours > 72) {
+        suggestions.push('Break down larger tasks so each piece can be finished within a day or two');
+      }
+    } else if (total > 0) {
+      insights.push('No tasks have been completed yet');
+      suggestions.push('Start with a small task to build momentum');
+    }
+
+    if (completionRate < 50 && total > 0) {
+      suggestions.push('Set realistic deadlines for new tasks');
+    }
+    suggestions.push('Review your task list at the start of each day');
+    suggestions.push('Break down complex tasks into smaller steps');
+
+    return {
+      insights: insights.slice(0, 3),
+      suggestions: [...new Set(suggestions)].slice(0, 3),
+    };
+  }
+}
+
+module.exports = RuleBasedProvider;
@@ -0,0 +1,72 @@
+const nodemailer = require('nodemailer');
+const { renderNotificationEmail } = require('./templates');
+const { ALL_TYPES, createUnsubscribeToken } = require('../../utils/notificationChannels');
+
+const DEFAULT_FROM = 'Smart Task Manager <no-reply@localhost>';
+
+class EmailService {
+  // Without a transport every send is skipped, so email stays optional
+  constructor({ transport = null, from = DEFAULT_FROM } = {}) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  get enabled() {
+    return Boolean(this.transport);
+  }
+
+  // Returns false when email is not configured; throws if the server rejects it
+  async send({ to, subject, text, html, headers }) {
+    if (!this.transport) return false;
+    await this.transport.sendMail({ from: this.from, to, subject, text, html, headers });
+    return true;
+  }
+
+  // Email a stored notification to its user. Mail clients get a one-click
+  // unsubscribe (RFC 8058) for the notification's type
+  async sendNotificationEmail(notification, { user, extra }) {
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    const unsubscribeUrl = (type) =>
+      `${apiUrl}/api/email/unsubscribe/${createUnsubscribeToken(user._id, type)}`;
+    const links = {
+      appUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+      unsubscribeUrl: unsubscribeUrl(notification.type),
+      unsubscribeAllUrl: unsubscribeUrl(ALL_TYPES),
+    };
+
+    const { subject, text, html } = renderNotificationEmail(notification, { user, extra, links });
+    return this.send({
+      to: user.email,
+      subject,
+      text,
+      html,
+      headers: {
+        'List-Unsubscribe': `<${links.unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+    });
+  }
+}
+
+// SMTP settings come from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+// SMTP_PASS and EMAIL_FROM. For local testing point SMTP_HOST and SMTP_PORT
+// at a sink such as Mailpit (localhost:1025)
+function createEmailService(env = process.env) {
+  if (!env.SMTP_HOST) {
+    return new EmailService();
+  }
+
+  const secure = env.SMTP_SECURE === 'true';
+  const transport = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT, 10) || (secure ? 465 : 587),
+    secure,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+  });
+  return new EmailService({ transport, from: env.EMAIL_FROM || DEFAULT_FROM });
+}
+
+module.exports = {
+  EmailService,
+  createEmailService,
+};
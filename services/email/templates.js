@@ -0,0 +1,156 @@
+const { formatInTimeZone } = require('../../utils/timezone');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const DIGEST_SECTIONS = [['overdue', 'Overdue'], ['dueToday', 'Due today'], ['upcoming', 'Coming up']];
+
+// Per notification type: the subject line, the heading above the message and
+// how the type is named in unsubscribe links. `task` is the task summary sent
+// with the notification, if any
+const TEMPLATES = {
+  reminder: {
+    label: 'reminder',
+    heading: 'Task reminder',
+    subject: ({ task }) => `Reminder: ${task.title}`,
+  },
+  due_soon: {
+    label: 'due soon',
+    heading: 'Due soon',
+    subject: ({ task }) => `Due soon: ${task.title}`,
+  },
+  overdue: {
+    label: 'overdue task',
+    heading: 'Overdue tasks',
+    subject: ({ tasks }) => `You have ${tasks.length} overdue task${tasks.length === 1 ? '' : 's'}`,
+  },
+  unblocked: {
+    label: 'unblocked task',
+    heading: 'Ready to start',
+    subject: ({ task }) => `Unblocked: ${task.title}`,
+  },
+  digest: {
+    label: 'digest',
+    heading: 'Your task digest',
+    subject: ({ notification }) => `Your ${notification.data?.period || 'daily'} task digest`,
+  },
+  assigned: {
+    label: 'assignment',
+    heading: 'New assignment',
+    subject: ({ task }) => `Assigned to you: ${task.title}`,
+  },
+  unassigned: {
+    label: 'unassignment',
+    heading: 'Assignment removed',
+    subject: ({ task }) => `Removed from: ${task.title}`,
+  },
+  mention: {
+    label: 'mention',
+    heading: 'You were mentioned',
+    subject: ({ task }) => `You were mentioned on ${task.title}`,
+  },
+  status_update: {
+    label: 'status update',
+    heading: 'Status update',
+    subject: ({ task }) => `Status update: ${task.title}`,
+  },
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function describeTask(task, timeZone) {
+  const due = task.dueDate ? `due ${formatInTimeZone(new Date(task.dueDate), timeZone)}` : null;
+  return [due, task.priority && `${task.priority} priority`].filter(Boolean).join(', ');
+}
+
+// The lists of tasks the email shows, as [heading, tasks] pairs
+function taskSections(notification, { task, tasks }) {
+  if (notification.type === 'digest') {
+    const data = notification.data || {};
+    return DIGEST_SECTIONS
+      .map(([key, heading]) => [heading, PRIORITIES.flatMap((priority) => data[key]?.[priority] || [])])
+      .filter(([, list]) => list.length > 0);
+  }
+  if (tasks.length > 0) return [[null, tasks]];
+  return task ? [[null, [task]]] : [];
+}
+
+function renderText({ heading, intro, quote, sections, timeZone, links, label }) {
+  const lines = [heading, '', intro];
+  if (quote) lines.push('', ...quote.split('\n').map((line) => `> ${line}`));
+  for (const [title, list] of sections) {
+    lines.push('');
+    if (title) lines.push(`${title}:`);
+    list.forEach((task) => lines.push(`- ${task.title} (${describeTask(task, timeZone)})`));
+  }
+  lines.push(
+    '',
+    `Open Smart Task Manager: ${links.appUrl}`,
+    '',
+    `Stop ${label} emails: ${links.unsubscribeUrl}`,
+    `Stop all emails: ${links.unsubscribeAllUrl}`
+  );
+  return lines.join('\n');
+}
+
+function renderHtml({ heading, intro, quote, sections, timeZone, links, label }) {
+  const parts = [
+    `<h2 style="margin:0 0 12px">${escapeHtml(heading)}</h2>`,
+    `<p>${escapeHtml(intro)}</p>`,
+  ];
+  if (quote) {
+    parts.push(
+      `<blockquote style="margin:12px 0;padding-left:12px;border-left:3px solid #ccc;color:#555">${escapeHtml(quote).replace(/\n/g, '<br>')}</blockquote>`
+    );
+  }
+  for (const [title, list] of sections) {
+    if (title) parts.push(`<h3 style="margin:16px 0 4px">${escapeHtml(title)}</h3>`);
+    const items = list.map((task) =>
+      `<li><strong>${escapeHtml(task.title)}</strong> <span style="color:#666">${escapeHtml(describeTask(task, timeZone))}</span></li>`
+    );
+    parts.push(`<ul>${items.join('')}</ul>`);
+  }
+  parts.push(
+    `<p><a href="${escapeHtml(links.appUrl)}">Open Smart Task Manager</a></p>`,
+    `<p style="font-size:12px;color:#888">` +
+      `<a href="${escapeHtml(links.unsubscribeUrl)}">Stop ${escapeHtml(label)} emails</a> · ` +
+      `<a href="${escapeHtml(links.unsubscribeAllUrl)}">Stop all emails</a></p>`
+  );
+  return `<!DOCTYPE html><html><body style="font-family:sans-serif;line-height:1.5;color:#222">${parts.join('\n')}</body></html>`;
+}
+
+// Subject, plain text and HTML for a notification email. `extra` is what the
+// notification was sent with ({ task } or { tasks }); `links` holds appUrl,
+// unsubscribeUrl and unsubscribeAllUrl
+function renderNotificationEmail(notification, { user, extra = {}, links }) {
+  const template = TEMPLATES[notification.type];
+  const task = extra.task;
+  const tasks = extra.tasks || notification.data?.tasks || [];
+
+  // Types about one task fall back to the message when its summary is missing
+  const needsTask = !['overdue', 'digest'].includes(notification.type);
+  const subject = template && (task || !needsTask)
+    ? template.subject({ notification, task, tasks })
+    : notification.message.split('\n')[0];
+
+  const context = {
+    heading: template?.heading || 'Notification',
+    // A digest's message repeats its task lists after the first line
+    intro: notification.type === 'digest' ? notification.message.split('\n')[0] : notification.message,
+    quote: notification.type === 'mention' ? notification.data?.body : null,
+    sections: taskSections(notification, { task, tasks }),
+    timeZone: user.timezone,
+    links,
+    label: template?.label || notification.type,
+  };
+  return { subject, text: renderText(context), html: renderHtml(context) };
+}
+
+module.exports = {
+  renderNotificationEmail,
+};
@@ -0,0 +1,79 @@
+const webpush = require('web-push');
+const PushSubscription = require('../../models/PushSubscription');
+
+// Seconds a push service keeps a message for an offline device
+const DEFAULT_TTL = 24 * 60 * 60;
+
+class PushService {
+  // Without VAPID keys every send is skipped, so push stays optional
+  constructor({ vapidDetails = null, ttl = DEFAULT_TTL } = {}) {
+    this.vapidDetails = vapidDetails;
+    this.ttl = ttl;
+  }
+
+  get enabled() {
+    return Boolean(this.vapidDetails);
+  }
+
+  get publicKey() {
+    return this.vapidDetails?.publicKey || null;
+  }
+
+  // Send a JSON payload to every device the user subscribed. The payload is
+  // encrypted for each subscription's keys. Subscriptions the push service
+  // reports as gone (404/410) are deleted. Returns how many devices accepted it
+  async sendToUser(userId, payload) {
+    if (!this.enabled) return 0;
+
+    const subscriptions = await PushSubscription.find({ user: userId });
+    const body = JSON.stringify(payload);
+    const expired = [];
+    const delivered = [];
+
+    for (const subscription of subscriptions) {
+      try {
+        await webpush.sendNotification(
+          { endpoint: subscription.endpoint, keys: subscription.keys },
+          body,
+          { vapidDetails: this.vapidDetails, TTL: this.ttl }
+        );
+        delivered.push(subscription._id);
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          expired.push(subscription._id);
+        } else {
+          console.error('Error sending push notification:', error.body || error.message);
+        }
+      }
+    }
+
+    if (expired.length > 0) {
+      await PushSubscription.deleteMany({ _id: { $in: expired } });
+    }
+    if (delivered.length > 0) {
+      await PushSubscription.updateMany({ _id: { $in: delivered } }, { lastUsedAt: new Date() });
+    }
+    return delivered.length;
+  }
+}
+
+// VAPID keys come from VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (generate a
+// pair with `npx web-push generate-vapid-keys`); VAPID_SUBJECT is a mailto:
+// or https: contact for push services
+function createPushService(env = process.env) {
+  if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY) {
+    return new PushService();
+  }
+  return new PushService({
+    vapidDetails: {
+      subject: env.VAPID_SUBJECT || 'mailto:admin@localhost',
+      publicKey: env.VAPID_PUBLIC_KEY,
+      privateKey: env.VAPID_PRIVATE_KEY,
+    },
+  });
+}
+
+module.exports = {
+  PushService,
+  createPushService,
+};
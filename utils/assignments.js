@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { getProjectRole } = require('./permissions');
+
+// Users who get reminders for a task: its assignees, or its creator when it
+// has none. Works on populated and unpopulated tasks alike
+function getResponsibleUsers(task) {
+  return task.assignees?.length ? task.assignees : [task.user];
+}
+
+// Filter for the tasks a user is responsible for
+function responsibleFilter(userId) {
+  return {
+    $or: [
+      { assignees: userId },
+      { user: userId, 'assignees.0': { $exists: false } },
+    ],
+  };
+}
+
+// Check a new assignee list for a task. Returns an error message, or null
+// when every assignee is an existing user (and a member of the task's project)
+async function validateAssignees(task, assignees) {
+  if (!Array.isArray(assignees)) return 'assignees must be an array of user ids';
+  if (!assignees.every((id) => mongoose.isValidObjectId(id))) {
+    return 'assignees contains an invalid user id';
+  }
+
+  const ids = [...new Set(assignees.map((id) => id.toString()))];
+  const count = await User.countDocuments({ _id: { $in: ids } });
+  if (count !== ids.length) return 'Assignees must be existing users';
+
+  if (task.project) {
+    const project = await Project.findById(task.project).select('members');
+    if (!project || !ids.every((id) => getProjectRole(project, id))) {
+      return 'Assignees must be members of the project';
+    }
+  }
+  return null;
+}
+
+// Replace a task's assignees, recording who was added and removed in its
+// history. Returns the ids of both
+function applyAssignees(task, assignees, byUserId) {
+  const previous = new Set((task.assignees || []).map((id) => id.toString()));
+  const next = [...new Set(assignees.map((id) => id.toString()))];
+
+  const added = next.filter((id) => !previous.has(id));
+  const removed = [...previous].filter((id) => !next.includes(id));
+
+  task.assignees = next;
+  const at = new Date();
+  added.forEach((user) => task.assignmentHistory.push({ user, action: 'assigned', by: byUserId, at }));
+  removed.forEach((user) => task.assignmentHistory.push({ user, action: 'unassigned', by: byUserId, at }));
+
+  return { added, removed };
+}
+
+module.exports = {
+  getResponsibleUsers,
+  responsibleFilter,
+  validateAssignees,
+  applyAssignees,
+};
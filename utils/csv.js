@@ -0,0 +1,73 @@
+// Minimal RFC 4180 CSV reading and writing
+
+class CsvError extends Error {}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Undo the quote formatCell puts before formula-like cells
+function readCell(cell) {
+  return cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+// CSV text from a header row and rows of values
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Rows of cell strings. Throws CsvError on an unterminated quoted cell
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(readCell(cell));
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(readCell(cell));
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new CsvError('Unterminated quoted value');
+
+  if (cell !== '' || row.length > 0) {
+    row.push(readCell(cell));
+    rows.push(row);
+  }
+  // Blank lines carry no data
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+module.exports = {
+  CsvError,
+  toCsv,
+  parseCsv,
+};
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { accessFilter, getProjectIds } = require('./permissions');
+
+// Unfinished tasks that `task` is still waiting on
+async function getBlockers(task) {
+  if (!task.dependsOn?.length) return [];
+  return Task.find({
+    _id: { $in: task.dependsOn },
+    status: { $ne: 'completed' },
+  }).select('_id title status dueDate');
+}
+
+// Check a new dependency list for a task. Returns an error message, or null
+// when every dependency is a task the user can see and no cycle would be created
+async function validateDependencies(userId, taskId, dependsOn) {
+  if (!Array.isArray(dependsOn)) return 'dependsOn must be an array of task ids';
+  if (dependsOn.length === 0) return null;
+
+  if (!dependsOn.every((id) => mongoose.isValidObjectId(id))) {
+    return 'dependsOn contains an invalid task id';
+  }
+  const ids = dependsOn.map((id) => id.toString());
+  if (taskId && ids.includes(taskId.toString())) {
+    return 'A task cannot depend on itself';
+  }
+
+  const uniqueIds = [...new Set(ids)];
+  const projectIds = await getProjectIds(userId);
+  const accessible = await Task.countDocuments({
+    _id: { $in: uniqueIds },
+    ...accessFilter(userId, projectIds),
+  });
+  if (accessible !== uniqueIds.length) {
+    return 'Dependencies must be existing tasks you can access';
+  }
+
+  // A new task has no dependents yet, so it can't close a cycle
+  if (!taskId) return null;
+
+  // Walk everything the new dependencies depend on, one level per query;
+  // reaching the task itself means it would (transitively) depend on itself
+  const target = taskId.toString();
+  const visited = new Set(uniqueIds);
+  let frontier = uniqueIds;
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return 'Dependency would create a cycle';
+    const tasks = await Task.find({ _id: { $in: frontier } }).select('dependsOn');
+    frontier = [];
+    for (const id of tasks.flatMap((task) => task.dependsOn.map(String))) {
+      if (!visited.has(id)) {
+        visited.add(id);
+        frontier.push(id);
+      }
+    }
+  }
+
+  return null;
+}
+
+// Plain task objects with a computed `blocked` flag and their `blockers`
+async function annotateBlocked(tasks) {
+  const dependencyIds = [...new Set(
+    tasks.flatMap((task) => (task.dependsOn || []).map((id) => id.toString()))
+  )];
+  const dependencies = dependencyIds.length > 0
+    ? await Task.find({ _id: { $in: dependencyIds } }).select('_id title status dueDate')
+    : [];
+  const byId = new Map(dependencies.map((task) => [task._id.toString(), task]));
+
+  return tasks.map((task) => {
+    const blockers = (task.dependsOn || [])
+      .map((id) => byId.get(id.toString()))
+      .filter((dependency) => dependency && dependency.status !== 'completed')
+      .map(({ _id, title, status, dueDate }) => ({ _id, title, status, dueDate }));
+
+    return {
+      ...task.toJSON(),
+      blocked: blockers.length > 0,
+      blockers,
+    };
+  });
+}
+
+// Unfinished tasks that depend on `task`, split by whether they still have
+// other blockers
+async function getDependents(task) {
+  const dependents = await Task.find({
+    dependsOn: task._id,
+    status: { $ne: 'completed' },
+  });
+
+  const actionable = [];
+  const blocked = [];
+  for (const dependent of dependents) {
+    const blockers = await getBlockers(dependent);
+    (blockers.length === 0 ? actionable : blocked).push(dependent);
+  }
+  return { actionable, blocked };
+}
+
+// Completing a task may unblock its dependents; reopening one blocks them again.
+// This is also where every status change to completed is announced to webhooks.
+// Uses the app's taskScheduler and webhooks services
+async function updateDependents(app, task, previousStatus) {
+  const taskScheduler = app.get('taskScheduler');
+  const { actionable, blocked } = await getDependents(task);
+
+  if (task.status === 'completed' && previousStatus !== 'completed') {
+    app.get('webhooks').dispatchTaskEvent(task, 'task.completed');
+    for (const dependent of actionable) {
+      await taskScheduler.notifyTaskUnblocked(dependent);
+    }
+  } else if (task.status !== 'completed' && previousStatus === 'completed') {
+    // Rescheduling a blocked task just cancels its queued reminders
+    for (const dependent of blocked) {
+      await taskScheduler.scheduleTaskNotifications(dependent._id);
+    }
+  }
+}
+
+module.exports = {
+  getBlockers,
+  validateDependencies,
+  annotateBlocked,
+  getDependents,
+  updateDependents,
+};
@@ -0,0 +1,327 @@
+const { isValidTimeZone, zonedTimeToDate, DEFAULT_TIME_ZONE } = require('./timezone');
+const { getReminderOffsets } = require('./reminders');
+const { DEFAULT_DUE_HOUR } = require('./quickAdd');
+
+// iCalendar (RFC 5545) export of tasks and import of VTODO/VEVENT entries
+
+const PRODID = '-//Smart Task Manager//Tasks//EN';
+const UID_DOMAIN = 'smart-task-manager';
+const PRIORITY_TO_ICAL = { high: 1, medium: 5, low: 9 };
+// Events end at the due date and last this long unless the task has an estimate
+const DEFAULT_EVENT_MINUTES = 30;
+const MAX_LINE_OCTETS = 75;
+
+class ICalError extends Error {}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+// 2026-03-01T09:30:00.000Z -> 20260301T093000Z
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on lines starting with a space
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Tasks keep the UID they were imported with so calendars don't see duplicates
+function taskUid(task) {
+  return task.icalUid || `${task._id}@${UID_DOMAIN}`;
+}
+
+// Id of one of our own tasks from a UID we exported, or null
+function parseTaskUid(uid) {
+  const match = new RegExp(`^([a-f\\d]{24})@${UID_DOMAIN}$`, 'i').exec(uid || '');
+  return match ? match[1] : null;
+}
+
+// Alarms matching the reminders the user gets for the task, relative to its due date
+function buildAlarms(task, user) {
+  if (task.status === 'completed') return [];
+
+  const triggers = getReminderOffsets(task, user).map((minutes) => `TRIGGER;RELATED=END:-PT${minutes}M`);
+  if (task.reminderTime) {
+    triggers.push(`TRIGGER;VALUE=DATE-TIME:${formatDateTime(task.reminderTime)}`);
+  }
+
+  return triggers.flatMap((trigger) => [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(task.title)}`,
+    trigger,
+    'END:VALARM',
+  ]);
+}
+
+function buildComponent(task, user, type, now) {
+  const component = type === 'todo' ? 'VTODO' : 'VEVENT';
+  const dueDate = new Date(task.dueDate);
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${taskUid(task)}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `SUMMARY:${escapeText(task.title)}`,
+  ];
+  if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(task.updatedAt)}`);
+  if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+
+  if (type === 'todo') {
+    lines.push(`DUE:${formatDateTime(dueDate)}`);
+    lines.push(`STATUS:${task.status === 'completed' ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    if (task.completedAt) lines.push(`COMPLETED:${formatDateTime(task.completedAt)}`);
+    if (task.progress?.total > 0) lines.push(`PERCENT-COMPLETE:${task.progress.percent}`);
+  } else {
+    const minutes = task.estimatedMinutes || DEFAULT_EVENT_MINUTES;
+    lines.push(`DTSTART:${formatDateTime(dueDate.getTime() - minutes * 60 * 1000)}`);
+    lines.push(`DTEND:${formatDateTime(dueDate)}`);
+    lines.push('TRANSP:TRANSPARENT');
+  }
+
+  lines.push(`PRIORITY:${PRIORITY_TO_ICAL[task.priority] || PRIORITY_TO_ICAL.medium}`);
+  if (task.category) lines.push(`CATEGORIES:${escapeText(task.category)}`);
+
+  lines.push(...buildAlarms(task, user), `END:${component}`);
+  return lines;
+}
+
+// A calendar with one VEVENT (type "event") or VTODO (type "todo") per task.
+// Alarms follow the reminder settings of `user`
+function buildCalendar(tasks, { user, type = 'event', name = 'Tasks', now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${user.timezone || DEFAULT_TIME_ZONE}`,
+    ...tasks.flatMap((task) => buildComponent(task, user, type, now)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// Index of the first `char` outside double quotes
+function indexOutsideQuotes(text, char, from = 0) {
+  let quoted = false;
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '"') quoted = !quoted;
+    else if (text[i] === char && !quoted) return i;
+  }
+  return -1;
+}
+
+// "DTSTART;TZID=Europe/Berlin:20260301T090000" ->
+// { name: 'DTSTART', params: { TZID: 'Europe/Berlin' }, value: '20260301T090000' }
+function parseContentLine(line) {
+  const colon = indexOutsideQuotes(line, ':');
+  if (colon === -1) return null;
+
+  const head = line.slice(0, colon);
+  const segments = [];
+  let start = 0;
+  let semicolon;
+  while ((semicolon = indexOutsideQuotes(head, ';', start)) !== -1) {
+    segments.push(head.slice(start, semicolon));
+    start = semicolon + 1;
+  }
+  segments.push(head.slice(start));
+
+  const params = {};
+  for (const param of segments.slice(1)) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: segments[0].toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Component tree: { name, properties: [...], components: [...] }
+function parseComponents(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+    const current = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length === 1 || current.name !== property.value.toUpperCase()) {
+        throw new ICalError(`Unexpected END:${property.value}`);
+      }
+      stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  }
+
+  if (stack.length !== 1) throw new ICalError('Unterminated component');
+  return root;
+}
+
+function getProperty(component, name) {
+  return component.properties.find((property) => property.name === name);
+}
+
+// DATE, UTC DATE-TIME or local DATE-TIME (in TZID, or the importing user's
+// zone when it is missing or unknown). Date-only values are due at the same
+// hour quick-add uses for a day without a time
+function parseDateValue(property, timeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match.map((part) => (
+    part === undefined || part === 'Z' ? part : Number(part)
+  ));
+  if (hour === undefined) {
+    return zonedTimeToDate({ year, month, day, hour: DEFAULT_DUE_HOUR, minute: 0 }, timeZone);
+  }
+  if (utc) return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+
+  const zone = isValidTimeZone(property.params.TZID) ? property.params.TZID : timeZone;
+  return new Date(zonedTimeToDate({ year, month, day, hour, minute }, zone).getTime() + second * 1000);
+}
+
+// "-PT1H30M" -> -90, "P1D" -> 1440
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total = (Number(weeks) || 0) * 7 * 24 * 60 + (Number(days) || 0) * 24 * 60
+    + (Number(hours) || 0) * 60 + (Number(minutes) || 0) + Math.round((Number(seconds) || 0) / 60);
+  return sign === '-' ? -total : total;
+}
+
+function parsePriority(value) {
+  const priority = Number(value);
+  if (!priority) return 'medium';
+  if (priority < 5) return 'high';
+  return priority === 5 ? 'medium' : 'low';
+}
+
+// Reminders before the due date and an absolute reminder time from VALARMs
+function parseAlarms(component, timeZone) {
+  const offsets = [];
+  let reminderTime = null;
+
+  for (const alarm of component.components.filter((child) => child.name === 'VALARM')) {
+    const trigger = getProperty(alarm, 'TRIGGER');
+    if (!trigger) continue;
+
+    if (trigger.params.VALUE === 'DATE-TIME') {
+      reminderTime = reminderTime || parseDateValue(trigger, timeZone);
+    } else {
+      const minutes = parseDuration(trigger.value);
+      if (minutes !== null && minutes < 0) offsets.push(-minutes);
+    }
+  }
+  return { offsets: [...new Set(offsets)], reminderTime };
+}
+
+function parseTaskComponent(component, timeZone) {
+  const summary = getProperty(component, 'SUMMARY');
+  if (!summary || !summary.value.trim()) throw new ICalError('Missing SUMMARY');
+
+  // Events are due when they end, matching how they are exported
+  const start = getProperty(component, 'DTSTART');
+  const end = getProperty(component, component.name === 'VTODO' ? 'DUE' : 'DTEND');
+  const startDate = start && parseDateValue(start, timeZone);
+  const dueDate = (end && parseDateValue(end, timeZone)) || startDate;
+  if (!dueDate) throw new ICalError('Missing or invalid due date');
+
+  const fields = {
+    title: unescapeText(summary.value).trim(),
+    dueDate,
+  };
+
+  const description = getProperty(component, 'DESCRIPTION');
+  if (description) fields.description = unescapeText(description.value);
+
+  const priority = getProperty(component, 'PRIORITY');
+  if (priority) fields.priority = parsePriority(priority.value);
+
+  const categories = getProperty(component, 'CATEGORIES');
+  if (categories) {
+    const [category] = categories.value.split(/(?<!\\),/);
+    if (category.trim()) fields.category = unescapeText(category).trim();
+  }
+
+  if (component.name === 'VEVENT' && startDate && end && dueDate > startDate) {
+    fields.estimatedMinutes = Math.round((dueDate - startDate) / 60000);
+  }
+
+  const status = getProperty(component, 'STATUS');
+  const completed = getProperty(component, 'COMPLETED');
+  if (completed || status?.value.toUpperCase() === 'COMPLETED') {
+    fields.status = 'completed';
+    fields.completedAt = (completed && parseDateValue(completed, timeZone)) || new Date();
+  }
+
+  const { offsets, reminderTime } = parseAlarms(component, timeZone);
+  if (offsets.length > 0) fields.reminderOffsets = offsets;
+  if (reminderTime) fields.reminderTime = reminderTime;
+
+  return fields;
+}
+
+// Task fields for every VTODO and VEVENT in a calendar. Entries that can't be
+// turned into tasks are reported in `errors` instead of failing the import.
+// Throws ICalError when the text is not an iCalendar file at all
+function parseCalendar(text, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const root = parseComponents(text);
+  const calendars = root.components.filter((component) => component.name === 'VCALENDAR');
+  if (calendars.length === 0) throw new ICalError('No VCALENDAR found');
+
+  const items = [];
+  const errors = [];
+  for (const calendar of calendars) {
+    for (const component of calendar.components) {
+      if (!['VTODO', 'VEVENT'].includes(component.name)) continue;
+
+      const uid = getProperty(component, 'UID')?.value.trim() || null;
+      try {
+        items.push({ uid, fields: parseTaskComponent(component, timeZone) });
+      } catch (error) {
+        if (!(error instanceof ICalError)) throw error;
+        errors.push({ uid, error: error.message });
+      }
+    }
+  }
+  return { items, errors };
+}
+
+module.exports = {
+  ICalError,
+  buildCalendar,
+  parseCalendar,
+  parseTaskUid,
+};
@@ -0,0 +1,41 @@
+const User = require('../models/User');
+const { getTaskAudienceIds } = require('./permissions');
+
+// "@alice" or "@alice.smith"; an @ inside a word (an email address) is not a mention
+const MENTION_PATTERN = /(^|[^\w@])@([\w][\w.-]*)/g;
+
+function normalize(value) {
+  return value.toLowerCase().replace(/[\s.]+/g, '');
+}
+
+// Lowercased handles mentioned in a comment, without duplicates
+function extractMentions(text) {
+  const handles = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    handles.add(match[2].replace(/[.-]+$/, '').toLowerCase());
+  }
+  return [...handles];
+}
+
+// Match mentions against the people who can see the task. A handle matches a
+// user's full name without spaces ("@alicesmith" or "@alice.smith"), their
+// first name, or the part of their email before the @
+async function resolveMentions(task, text) {
+  const handles = extractMentions(text).map(normalize);
+  if (handles.length === 0) return [];
+
+  const audience = await User.find({ _id: { $in: await getTaskAudienceIds(task) } }).select('name email');
+  return audience.filter((user) => {
+    const names = [
+      normalize(user.name),
+      normalize(user.name.split(/\s+/)[0]),
+      normalize(user.email.split('@')[0]),
+    ];
+    return handles.some((handle) => names.includes(handle));
+  });
+}
+
+module.exports = {
+  extractMentions,
+  resolveMentions,
+};
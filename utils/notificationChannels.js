@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { getJwtSecret } = require('./sessions');
+
+// Unsubscribe tokens for every email type at once use this in place of a type
+const ALL_TYPES = 'all';
+
+// Which channels a notification of `type` goes out on for a user
+function getNotificationChannels(user, type) {
+  const settings = user?.notificationSettings || {};
+  const channel = settings.channel || 'in_app';
+  return {
+    inApp: channel !== 'email',
+    email: channel !== 'in_app' && Boolean(user.email) && !(settings.emailOptOuts || []).includes(type),
+  };
+}
+
+function signUnsubscribe(userId, type) {
+  return crypto
+    .createHmac('sha256', getJwtSecret())
+    .update(`unsubscribe:${userId}:${type}`)
+    .digest('base64url');
+}
+
+// Token for an unsubscribe link. It never expires, so links in old emails
+// keep working, and needs no storage
+function createUnsubscribeToken(userId, type = ALL_TYPES) {
+  return `${userId}.${type}.${signUnsubscribe(userId, type)}`;
+}
+
+// { userId, type } from a valid token, otherwise null
+function verifyUnsubscribeToken(token) {
+  const [userId, type, signature, extra] = String(token).split('.');
+  if (extra !== undefined || !mongoose.isValidObjectId(userId) || !type || !signature) return null;
+
+  const expected = Buffer.from(signUnsubscribe(userId, type));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  return { userId, type };
+}
+
+// Stop emailing a user one notification type, or everything for 'all'.
+// Returns whether the settings changed
+function applyUnsubscribe(user, type) {
+  const settings = user.notificationSettings;
+  if (type === ALL_TYPES) {
+    if (settings.channel === 'in_app') return false;
+    settings.channel = 'in_app';
+    return true;
+  }
+  const optOuts = settings.emailOptOuts || [];
+  if (optOuts.includes(type)) return false;
+  settings.emailOptOuts = [...optOuts, type];
+  return true;
+}
+
+module.exports = {
+  ALL_TYPES,
+  getNotificationChannels,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  applyUnsubscribe,
+};
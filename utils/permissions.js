@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+
+const ROLE_RANK = { viewer: 0, editor: 1, owner: 2 };
+
+function getProjectRole(project, userId) {
+  const member = project.members.find((m) => m.user.toString() === userId.toString());
+  return member ? member.role : null;
+}
+
+function hasRole(role, required) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[required];
+}
+
+// Ids of the projects the user belongs to, optionally only those where they
+// have at least the given role
+async function getProjectIds(userId, required = 'viewer') {
+  const projects = await Project.find({ 'members.user': userId }).select('members');
+  return projects
+    .filter((project) => hasRole(getProjectRole(project, userId), required))
+    .map((project) => project._id);
+}
+
+// Filter matching every task the user can see: their personal tasks, tasks
+// assigned to them and the tasks of projects they belong to
+function accessFilter(userId, projectIds) {
+  const user = new mongoose.Types.ObjectId(userId.toString());
+  return {
+    $or: [
+      { user, project: null },
+      { assignees: user },
+      { project: { $in: projectIds } },
+    ],
+  };
+}
+
+function isAssignee(task, userId) {
+  return (task.assignees || []).some((id) => id.toString() === userId.toString());
+}
+
+// Load a task if the user has at least `required` role on it. Personal tasks
+// belong to their creator, and assignees can always edit the tasks assigned
+// to them. Trashed tasks are only found with { withDeleted: true }. Returns
+// { task, role } on success or { status } with 404 (not visible) or 403
+// (visible but not permitted)
+async function findAccessibleTask(taskId, userId, required = 'viewer', { withDeleted = false } = {}) {
+  if (!mongoose.isValidObjectId(taskId)) return { status: 404 };
+
+  const task = await Task.findById(taskId).setOptions({ withDeleted });
+  if (!task) return { status: 404 };
+
+  let role = null;
+  if (!task.project) {
+    if (task.user.toString() === userId.toString()) role = 'owner';
+  } else {
+    const project = await Project.findById(task.project).select('members');
+    role = project && getProjectRole(project, userId);
+  }
+  if (isAssignee(task, userId) && !hasRole(role, 'editor')) role = 'editor';
+  if (!role) return { status: 404 };
+  if (!hasRole(role, required)) return { status: 403 };
+
+  return { task, role };
+}
+
+// Ids of everyone who can see a task: its creator, its assignees and, for
+// project tasks, every project member. May contain duplicates
+async function getTaskAudienceIds(task) {
+  const ids = [task.user, ...(task.assignees || [])];
+  if (task.project) {
+    const project = await Project.findById(task.project).select('members');
+    if (project) ids.push(...project.members.map((member) => member.user));
+  }
+  return ids;
+}
+
+function sendAccessError(res, status) {
+  if (status === 403) {
+    return res.status(403).json({ message: 'You do not have permission to change this task' });
+  }
+  return res.status(404).json({ message: 'Task not found' });
+}
+
+module.exports = {
+  ROLE_RANK,
+  getProjectRole,
+  hasRole,
+  getProjectIds,
+  accessFilter,
+  findAccessibleTask,
+  getTaskAudienceIds,
+  sendAccessError,
+};
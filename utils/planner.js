@@ -0,0 +1,155 @@
+const { getZonedParts, zonedTimeToDate, parseClockTime } = require('./timezone');
+
+// Used for tasks without an estimate
+const DEFAULT_ESTIMATE_MINUTES = 30;
+// Blocks shorter than this aren't worth scheduling at the end of a window
+const MIN_BLOCK_MINUTES = 15;
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function clockParts(minutes) {
+  return { hour: Math.floor(minutes / 60), minute: minutes % 60 };
+}
+
+// Working windows for `days` calendar days starting at `startDay`, in the
+// user's zone, with anything before `now` cut off
+function buildWindows({ startDay, days, now, timeZone, workingHours }) {
+  const start = parseClockTime(workingHours.start);
+  const end = parseClockTime(workingHours.end);
+  const windows = [];
+  if (start === null || end === null || end <= start) return windows;
+
+  for (let offset = 0; offset < days; offset++) {
+    const day = addDays(startDay, offset);
+    if (!workingHours.days.includes(weekdayOf(day))) continue;
+
+    const windowStart = zonedTimeToDate({ ...day, ...clockParts(start) }, timeZone);
+    const windowEnd = zonedTimeToDate({ ...day, ...clockParts(end) }, timeZone);
+    const from = windowStart < now ? now : windowStart;
+    if (windowEnd - from >= MIN_BLOCK_MINUTES * 60 * 1000) {
+      windows.push({ start: from, end: windowEnd });
+    }
+  }
+  return windows;
+}
+
+// Earliest deadline first, higher priority breaking ties. Tasks are never
+// idle-waiting on each other, so this ordering minimizes missed deadlines
+function defaultOrder(tasks) {
+  return [...tasks].sort((a, b) =>
+    new Date(a.dueDate) - new Date(b.dueDate) ||
+    PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]
+  );
+}
+
+// Place tasks into working windows in the given order, splitting a task
+// across windows when it doesn't fit in one. `tasks` are plain objects with
+// _id, title, dueDate, priority, estimatedMinutes and optionally blocked
+function planSchedule({
+  tasks,
+  now = new Date(),
+  timeZone = 'UTC',
+  workingHours,
+  range = 'day',
+  order,
+}) {
+  const today = getZonedParts(now, timeZone);
+  const startDay = { year: today.year, month: today.month, day: today.day };
+  const days = range === 'week' ? 7 : 1;
+  const windows = buildWindows({ startDay, days, now, timeZone, workingHours });
+  const rangeEnd = zonedTimeToDate(addDays(startDay, days), timeZone);
+
+  const blocked = tasks.filter((task) => task.blocked);
+  const schedulable = tasks.filter((task) => !task.blocked);
+
+  let ordered = defaultOrder(schedulable);
+  if (order) {
+    const byId = new Map(schedulable.map((task) => [task._id.toString(), task]));
+    const custom = order.map((id) => byId.get(id.toString())).filter(Boolean);
+    ordered = [...custom, ...ordered.filter((task) => !custom.includes(task))];
+  }
+
+  const blocks = [];
+  const results = [];
+  let windowIndex = 0;
+  let cursor = windows[0]?.start;
+
+  for (const task of ordered) {
+    const estimate = task.estimatedMinutes || DEFAULT_ESTIMATE_MINUTES;
+    let remaining = estimate;
+    let finishesAt = null;
+
+    while (remaining > 0 && windowIndex < windows.length) {
+      const window = windows[windowIndex];
+      const available = Math.floor((window.end - cursor) / 60000);
+      if (available < Math.min(MIN_BLOCK_MINUTES, remaining)) {
+        windowIndex++;
+        cursor = windows[windowIndex]?.start;
+        continue;
+      }
+
+      const minutes = Math.min(available, remaining);
+      const end = new Date(cursor.getTime() + minutes * 60000);
+      blocks.push({
+        task: task._id,
+        title: task.title,
+        priority: task.priority,
+        start: cursor,
+        end,
+        minutes,
+      });
+      remaining -= minutes;
+      cursor = end;
+      finishesAt = end;
+    }
+
+    const dueDate = new Date(task.dueDate);
+    let issue = null;
+    if (dueDate < now) {
+      issue = 'overdue';
+    } else if (remaining > 0) {
+      // Work left over for a task due after this range isn't a problem yet
+      issue = dueDate > rangeEnd ? 'continues_after_range' : 'insufficient_time';
+    } else if (finishesAt > dueDate) {
+      issue = 'misses_deadline';
+    }
+
+    results.push({
+      task: task._id,
+      title: task.title,
+      priority: task.priority,
+      dueDate: task.dueDate,
+      estimatedMinutes: estimate,
+      scheduledMinutes: estimate - remaining,
+      finishesAt,
+      fitsBeforeDeadline: issue === null || issue === 'continues_after_range',
+      issue,
+    });
+  }
+
+  return {
+    range,
+    timezone: timeZone,
+    from: now,
+    to: rangeEnd,
+    workingHours,
+    blocks,
+    tasks: results,
+    // Tasks still waiting on a dependency aren't scheduled
+    blocked: blocked.map((task) => ({ task: task._id, title: task.title, dueDate: task.dueDate })),
+    atRisk: results.filter((result) => !result.fitsBeforeDeadline),
+  };
+}
+
+module.exports = {
+  DEFAULT_ESTIMATE_MINUTES,
+  planSchedule,
+};
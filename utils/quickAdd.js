@@ -0,0 +1,268 @@
+const { getZonedParts, zonedTimeToDate, DEFAULT_TIME_ZONE } = require('./timezone');
+
+// Due time used when the text names a day but no time
+const DEFAULT_DUE_HOUR = 17;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_PATTERN = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+const PRIORITY_ALIASES = {
+  high: 'high', h: 'high', '!!!': 'high',
+  medium: 'medium', med: 'medium', m: 'medium', '!!': 'medium',
+  low: 'low', l: 'low', '!': 'low',
+};
+
+const UNIT_MINUTES = {
+  m: 1, min: 1, mins: 1, minute: 1, minutes: 1,
+  h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+  d: 24 * 60, day: 24 * 60, days: 24 * 60,
+  w: 7 * 24 * 60, week: 7 * 24 * 60, weeks: 7 * 24 * 60,
+};
+
+const PERIOD_HOURS = { morning: 9, afternoon: 14, evening: 18, tonight: 20, noon: 12, midnight: 0 };
+
+// Calendar arithmetic on plain { year, month, day } values
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function compareDays(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+// Whether the day exists, e.g. not February 30th or month 13
+function isValidDay({ year, month, day }) {
+  if (month < 1 || month > 12 || day < 1) return false;
+  return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function weekdayIndex(name) {
+  return WEEKDAYS.indexOf(name.slice(0, 3).toLowerCase());
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+}
+
+// Finds the first match of `pattern` in the remaining text that `accept`
+// allows, removes it and returns the match
+function take(state, pattern, accept = () => true) {
+  const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+  let match;
+  while ((match = global.exec(state.rest)) && !accept(match)) {
+    if (match[0] === '') global.lastIndex++;
+  }
+  if (!match) return null;
+  state.rest = `${state.rest.slice(0, match.index)} ${state.rest.slice(match.index + match[0].length)}`;
+  return match;
+}
+
+function parseReminders(state) {
+  const offsets = [];
+  let clock = null;
+
+  let match;
+  while ((match = take(state, /\bremind me\s+(.+?)\s+before\b/i))) {
+    const durations = /(\d+)\s*(minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|w)\b/gi;
+    let duration;
+    while ((duration = durations.exec(match[1]))) {
+      offsets.push(Number(duration[1]) * UNIT_MINUTES[duration[2].toLowerCase()]);
+    }
+  }
+
+  match = take(state, /\bremind me at\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i);
+  if (match) clock = toClock(match[1], match[2], match[3]);
+
+  return { offsets, clock };
+}
+
+function toClock(hourText, minuteText, meridiem) {
+  let hour = Number(hourText);
+  const minute = Number(minuteText || 0);
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = hour % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+function parsePriority(state) {
+  const match = take(state, /(^|\s)(!high|!medium|!med|!low|!h|!m|!l|!!!|!!|!)(?=\s|$)/i);
+  if (!match) return null;
+  return PRIORITY_ALIASES[match[2].toLowerCase().replace(/^!(?=\w)/, '')];
+}
+
+function parseCategory(state) {
+  let category = null;
+  let match;
+  // Tags start with a letter, so "PR #123" stays in the title
+  while ((match = take(state, /(^|\s)#([A-Za-z][\w-]*)/))) {
+    if (!category) category = match[2].toLowerCase();
+  }
+  return category;
+}
+
+function parseTime(state) {
+  let match = take(state, /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i);
+  if (match) return toClock(match[1], match[2], match[3]);
+
+  match = take(state, /\b(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (match) return toClock(match[1], match[2]);
+
+  // "at 9" without am/pm: 1-7 are taken as afternoon or evening ("at 4" is
+  // 16:00), anything else as a 24-hour clock
+  match = take(state, /\bat\s+([01]?\d|2[0-3])\b(?![:.]\d)/i);
+  if (match) {
+    const hour = Number(match[1]);
+    return { hour: hour >= 1 && hour <= 7 ? hour + 12 : hour, minute: 0 };
+  }
+
+  match = take(state, /\b(?:at\s+)?(noon|midnight)\b/i);
+  if (match) return { hour: PERIOD_HOURS[match[1].toLowerCase()], minute: 0 };
+
+  match = /\b(morning|afternoon|evening|tonight)\b/i.exec(state.rest);
+  if (match) {
+    // "tonight" also names the day, so leave it for parseDate
+    if (match[1].toLowerCase() !== 'tonight') take(state, /\b(?:in the\s+|this\s+)?(morning|afternoon|evening)\b/i);
+    return { hour: PERIOD_HOURS[match[1].toLowerCase()], minute: 0 };
+  }
+
+  return null;
+}
+
+function isoDay(match) {
+  return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+}
+
+// The day named by a "Mar 5" / "5 March 2027" match
+function monthDay(match, today) {
+  const [monthName, dayText] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+  const day = { year: Number(match[3]) || today.year, month: monthIndex(monthName) + 1, day: Number(dayText) };
+  // A date without a year that has already passed means next year
+  if (!match[3] && compareDays(day, today) < 0) day.year += 1;
+  return day;
+}
+
+// Returns { day } for calendar dates or { instant } for "in 3 hours". Dates
+// that don't exist ("feb 30") aren't taken, so they stay in the title
+function parseDate(state, today, now) {
+  const connector = '(?:(?:due|by|on)\\s+)?';
+  let match = take(state, new RegExp(`${connector}\\b(\\d{4})-(\\d{2})-(\\d{2})\\b`, 'i'), (m) => isValidDay(isoDay(m)));
+  if (match) return { day: isoDay(match) };
+
+  match = take(state, new RegExp(`${connector}\\bin\\s+(\\d+)\\s*(minutes?|mins?|hours?|hrs?)\\b`, 'i'));
+  if (match) {
+    const minutes = Number(match[1]) * UNIT_MINUTES[match[2].toLowerCase()];
+    return { instant: new Date(now.getTime() + minutes * 60 * 1000) };
+  }
+
+  match = take(state, new RegExp(`${connector}\\bin\\s+(\\d+)\\s*(days?|weeks?)\\b`, 'i'));
+  if (match) {
+    const days = Number(match[1]) * (match[2].toLowerCase().startsWith('w') ? 7 : 1);
+    return { day: addDays(today, days) };
+  }
+
+  match = take(state, new RegExp(`${connector}\\bday after tomorrow\\b`, 'i'));
+  if (match) return { day: addDays(today, 2) };
+
+  match = take(state, new RegExp(`${connector}\\b(today|tonight|tomorrow|tmrw?)\\b`, 'i'));
+  if (match) return { day: addDays(today, match[1].toLowerCase() === 'today' || match[1].toLowerCase() === 'tonight' ? 0 : 1) };
+
+  match = take(state, new RegExp(`${connector}\\bnext week\\b`, 'i'));
+  if (match) return { day: addDays(today, ((8 - weekdayOf(today)) % 7) || 7) };
+
+  match = take(state, new RegExp(`${connector}\\bnext month\\b`, 'i'));
+  if (match) {
+    return { day: today.month === 12
+      ? { year: today.year + 1, month: 1, day: 1 }
+      : { year: today.year, month: today.month + 1, day: 1 } };
+  }
+
+  match = take(state, new RegExp(`${connector}\\b(next|this)?\\s*${WEEKDAY_PATTERN}\\b`, 'i'));
+  if (match) {
+    const target = weekdayIndex(match[2]);
+    let days = (target - weekdayOf(today) + 7) % 7 || 7;
+    if (match[1] && match[1].toLowerCase() === 'next') {
+      // "next Friday" is Friday of next week (weeks start on Monday)
+      const daysToNextMonday = ((8 - weekdayOf(today)) % 7) || 7;
+      days = daysToNextMonday + ((target + 6) % 7);
+    }
+    return { day: addDays(today, days) };
+  }
+
+  const validMonthDay = (m) => isValidDay(monthDay(m, today));
+  match = take(state, new RegExp(`${connector}\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'i'), validMonthDay)
+    || take(state, new RegExp(`${connector}\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN}\\.?(?:,?\\s+(\\d{4}))?\\b`, 'i'), validMonthDay);
+  if (match) return { day: monthDay(match, today) };
+
+  return null;
+}
+
+function cleanTitle(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.;:])/g, '$1')
+    .replace(/(^|\s)(due|by|on|at)\s*$/i, '')
+    .replace(/^[\s,.;:-]+|[\s,;:-]+$/g, '')
+    .trim();
+}
+
+// Parse quick-add text such as
+// "submit expense report next Friday 5pm !high #finance remind me 1 day before"
+// into task fields, interpreting dates in the user's time zone. Fields that
+// couldn't be found are listed in `missing`
+function parseQuickAdd(text, { now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const state = { rest: ` ${text} ` };
+  const zoned = getZonedParts(now, timeZone);
+  const today = { year: zoned.year, month: zoned.month, day: zoned.day };
+
+  const reminders = parseReminders(state);
+  const priority = parsePriority(state);
+  const category = parseCategory(state);
+  const time = parseTime(state);
+  const date = parseDate(state, today, now);
+
+  let dueDate = null;
+  if (date?.instant) {
+    dueDate = date.instant;
+  } else if (date?.day) {
+    dueDate = zonedTimeToDate({ ...date.day, ...(time || { hour: DEFAULT_DUE_HOUR, minute: 0 }) }, timeZone);
+  } else if (time) {
+    // A bare time means the next time the clock reads it
+    dueDate = zonedTimeToDate({ ...today, ...time }, timeZone);
+    if (dueDate <= now) dueDate = zonedTimeToDate({ ...addDays(today, 1), ...time }, timeZone);
+  }
+
+  let reminderTime = null;
+  if (reminders.clock && dueDate) {
+    const dueDay = getZonedParts(dueDate, timeZone);
+    reminderTime = zonedTimeToDate({ year: dueDay.year, month: dueDay.month, day: dueDay.day, ...reminders.clock }, timeZone);
+  }
+
+  const result = {
+    title: cleanTitle(state.rest),
+    dueDate,
+    priority,
+    category,
+    reminderOffsets: reminders.offsets.length > 0 ? reminders.offsets : null,
+    reminderTime,
+  };
+
+  return {
+    task: result,
+    missing: ['title', 'dueDate', 'priority', 'category'].filter((field) => !result[field]),
+  };
+}
+
+module.exports = {
+  DEFAULT_DUE_HOUR,
+  parseQuickAdd,
+};
@@ -0,0 +1,125 @@
+const { getZonedParts, zonedTimeToDate, DEFAULT_TIME_ZONE } = require('./timezone');
+
+const MAX_ITERATIONS = 1000;
+
+// Occurrences are worked out on the owner's wall clock: calendar days as
+// { year, month, day } and a local time of day, so a 9:00 task stays at 9:00
+// across DST changes and weekdays are the owner's, not the server's
+
+function dayNumber({ year, month, day }) {
+  return Date.UTC(year, month - 1, day) / (24 * 60 * 60 * 1000);
+}
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Add whole months, returning null when the day doesn't exist in the target
+// month (RRULE skips those rather than clamping, e.g. the 31st)
+function addMonths({ year, month, day }, months) {
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  if (day > daysInMonth) return null;
+  return { year: target.getUTCFullYear(), month: target.getUTCMonth() + 1, day };
+}
+
+// Day number of the Sunday starting the week containing `date`
+function weekStart(date) {
+  return dayNumber(date) - weekdayOf(date);
+}
+
+// Next day the rule produces after `from`, ignoring until/count/exceptions
+function nextCandidate(recurrence, from, step) {
+  const interval = recurrence.interval || 1;
+
+  switch (recurrence.frequency) {
+    case 'daily':
+      return addDays(from, interval * step);
+    case 'weekly': {
+      const weekdays = recurrence.byWeekday || [];
+      if (weekdays.length === 0) return addDays(from, 7 * interval * step);
+
+      // Walk forward day by day, keeping only listed weekdays in weeks
+      // that are a multiple of the interval away from the anchor week
+      const anchorWeek = weekStart(from);
+      let candidate = from;
+      for (let i = 0; i < MAX_ITERATIONS; i++) {
+        candidate = addDays(candidate, 1);
+        const weeks = (weekStart(candidate) - anchorWeek) / 7;
+        if (weeks % interval === 0 && weekdays.includes(weekdayOf(candidate))) {
+          return candidate;
+        }
+      }
+      return null;
+    }
+    case 'monthly':
+      return addMonths(from, interval * step);
+    case 'yearly':
+      return addMonths(from, 12 * interval * step);
+    default:
+      return null;
+  }
+}
+
+// Calendar day an exception stands for in the owner's zone. Date-only
+// exceptions ("2026-05-01") are stored as UTC midnight and mean that day
+function exceptionDay(exception, timeZone) {
+  const date = new Date(exception);
+  if (date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0) {
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  }
+  return getZonedParts(date, timeZone);
+}
+
+function isException(recurrence, day, timeZone) {
+  return (recurrence.exceptions || []).some(
+    exception => dayNumber(exceptionDay(exception, timeZone)) === dayNumber(day)
+  );
+}
+
+// Date and index of the occurrence after the one at `occurrenceDate` (index
+// `occurrenceIndex`), or null when the series has ended. Days and times are
+// taken in `timeZone`, the task owner's
+function getNextOccurrence(recurrence, occurrenceDate, occurrenceIndex = 0, timeZone = DEFAULT_TIME_ZONE) {
+  if (!recurrence?.frequency) return null;
+
+  const { year, month, day, hour, minute } = getZonedParts(new Date(occurrenceDate), timeZone);
+  const from = { year, month, day };
+  let index = occurrenceIndex;
+  let cursor = from;
+  let step = 1;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    // Monthly/yearly steps are taken from the original date so that a
+    // skipped month doesn't shift the day; weekly/daily walk from the cursor
+    const fixedAnchor = recurrence.frequency === 'monthly' || recurrence.frequency === 'yearly';
+    const candidate = fixedAnchor
+      ? nextCandidate(recurrence, from, step)
+      : nextCandidate(recurrence, cursor, 1);
+    step++;
+    if (!candidate) {
+      if (fixedAnchor) continue;
+      return null;
+    }
+    cursor = candidate;
+
+    const date = zonedTimeToDate({ ...candidate, hour, minute }, timeZone);
+    if (recurrence.until && date > new Date(recurrence.until)) return null;
+    index++;
+    if (recurrence.count && index >= recurrence.count) return null;
+    if (isException(recurrence, candidate, timeZone)) continue;
+
+    return { date, index };
+  }
+
+  return null;
+}
+
+module.exports = {
+  getNextOccurrence,
+};
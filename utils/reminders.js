@@ -0,0 +1,26 @@
+// Minutes before the due date, falling back to the legacy single reminderTime (hours)
+function getDefaultReminderOffsets(settings) {
+  if (settings.reminderOffsets?.length) return settings.reminderOffsets;
+  return [(settings.reminderTime || 2) * 60]; // default 2 hours
+}
+
+// Minutes before the due date a user is reminded of a task. Per-task offsets
+// override the user's defaults, which only apply to the priorities the user
+// opted into
+function getReminderOffsets(task, user) {
+  const settings = user.notificationSettings;
+  if (!settings?.enabled) return [];
+
+  let offsets = [];
+  if (task.reminderOffsets) {
+    offsets = task.reminderOffsets;
+  } else if (settings.priorities.includes(task.priority)) {
+    offsets = getDefaultReminderOffsets(settings);
+  }
+  return [...new Set(offsets)];
+}
+
+module.exports = {
+  getDefaultReminderOffsets,
+  getReminderOffsets,
+};
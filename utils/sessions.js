@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+// Two tabs refreshing at once present the same token twice; within this
+// window the loser is just turned away instead of the session being revoked
+const REUSE_GRACE_MS = 10 * 1000;
+
+class SessionError extends Error {}
+
+// There is deliberately no fallback secret; server.js refuses to start without one
+function getJwtSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+}
+
+function getRefreshTokenExpiry() {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || DEFAULT_REFRESH_TOKEN_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Socket.IO room of the sockets authenticated with a session
+function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
+
+// Short-lived access token plus the refresh token ("<session id>.<secret>")
+// that replaces it when it expires
+function issueTokens(session, secret) {
+  const token = jwt.sign(
+    { userId: session.user.toString(), sid: session._id.toString() },
+    getJwtSecret(),
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL }
+  );
+  return {
+    token,
+    tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshToken: `${session._id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+}
+
+function deviceInfo(req) {
+  return { userAgent: req.get('user-agent'), ip: req.ip };
+}
+
+// Start a session for a user who just signed in. The client may name the
+// device with { deviceName }
+async function createSession(user, req) {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName : undefined,
+    ...deviceInfo(req),
+    expiresAt: getRefreshTokenExpiry(),
+  });
+  return issueTokens(session, secret);
+}
+
+// Trade a refresh token for new tokens, rotating the refresh token and
+// extending the session. Throws SessionError for unknown, expired or revoked
+// tokens; presenting a token that was already rotated away revokes the session
+async function refreshSession(refreshToken, req) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const now = new Date();
+  const session = await Session.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: now } });
+  if (!session) throw new SessionError('Invalid refresh token');
+
+  const hash = hashSecret(secret);
+  if (hash === session.previousTokenHash) {
+    if (now - session.lastUsedAt > REUSE_GRACE_MS) {
+      session.revokedAt = now;
+      await session.save();
+    }
+    throw new SessionError('Refresh token was already used');
+  }
+
+  // Conditional on the current hash so concurrent refreshes can't both win
+  const next = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      refreshTokenHash: hashSecret(next),
+      previousTokenHash: hash,
+      ...deviceInfo(req),
+      lastUsedAt: now,
+      expiresAt: getRefreshTokenExpiry(),
+    },
+    { new: true }
+  );
+  if (!rotated) throw new SessionError('Invalid refresh token');
+  return issueTokens(rotated, next);
+}
+
+// The { userId, sid } payload of an access token whose session is still
+// active, otherwise null
+async function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    return null;
+  }
+  // Tokens issued before sessions existed can't be revoked, so they're refused
+  if (!mongoose.isValidObjectId(decoded.sid)) return null;
+
+  const active = await Session.exists({
+    _id: decoded.sid,
+    user: decoded.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return active ? decoded : null;
+}
+
+// Revoke the active sessions matching `filter` and disconnect their sockets.
+// Returns how many were revoked
+async function revokeSessions(io, filter) {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map((session) => session._id);
+  await Session.updateMany({ _id: { $in: ids } }, { revokedAt: new Date() });
+  io.in(ids.map(sessionRoom)).disconnectSockets(true);
+  return sessions.length;
+}
+
+module.exports = {
+  SessionError,
+  getJwtSecret,
+  sessionRoom,
+  createSession,
+  refreshSession,
+  verifyAccessToken,
+  revokeSessions,
+};
@@ -0,0 +1,35 @@
+// Socket.IO room that should hear about changes to a task: everyone in its
+// project, or just its owner for personal tasks
+function taskRoom(task) {
+  return task.project ? `project:${task.project}` : task.user.toString();
+}
+
+// Every room that should hear about a task, including those of its assignees
+function taskRooms(task) {
+  return [taskRoom(task), ...(task.assignees || []).map((id) => id.toString())];
+}
+
+function projectRoom(projectId) {
+  return `project:${projectId}`;
+}
+
+// Room of the sockets that currently have a task open
+function taskViewRoom(taskId) {
+  return `task:${taskId}`;
+}
+
+// Emit a task event (taskCreated, taskUpdated, taskDeleted, ...) to the
+// task's rooms and queue it for webhooks, using the app's io and webhooks
+// services. The payload defaults to the task itself
+function emitTaskEvent(app, task, event, payload = task) {
+  app.get('io').to(taskRooms(task)).emit(event, payload);
+  app.get('webhooks').dispatchTaskEvent(task, event);
+}
+
+module.exports = {
+  taskRoom,
+  taskRooms,
+  projectRoom,
+  taskViewRoom,
+  emitTaskEvent,
+};
@@ -0,0 +1,111 @@
+const TaskHistory = require('../models/TaskHistory');
+
+// Fields whose changes are recorded. Assignees keep their own history on the task
+const TRACKED_FIELDS = [
+  'title', 'description', 'dueDate', 'priority', 'status', 'category',
+  'estimatedMinutes', 'project', 'completedAt', 'aiSuggestions', 'dependsOn',
+  'subtasks', 'checklist', 'reminderTime', 'reminderOffsets', 'recurrence',
+];
+// Moving a task between projects goes through its own permission checks, so
+// reverting never touches it
+const REVERTIBLE_FIELDS = TRACKED_FIELDS.filter((field) => field !== 'project');
+
+const MAX_VERSION_RETRIES = 3;
+
+// Plain JSON copy of the tracked fields, so snapshots compare and store the
+// same way whether or not they went through Mongo
+function snapshotTask(task) {
+  const doc = typeof task.toObject === 'function' ? task.toObject({ virtuals: false }) : task;
+  const snapshot = {};
+  for (const field of TRACKED_FIELDS) {
+    snapshot[field] = doc[field] === undefined ? null : JSON.parse(JSON.stringify(doc[field]));
+  }
+  return snapshot;
+}
+
+// A missing field and an empty list mean the same thing
+function isEmpty(value) {
+  return value === null || (Array.isArray(value) && value.length === 0);
+}
+
+function diffSnapshots(before, after) {
+  return TRACKED_FIELDS
+    .filter((field) => !(isEmpty(before[field]) && isEmpty(after[field])))
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => ({ field, from: before[field], to: after[field] }));
+}
+
+// Record what changed on a saved task since `before` (a snapshot, or null for
+// a new task). `after` defaults to the task's current state. Does nothing
+// when no tracked field changed
+async function recordChanges(task, before, {
+  user, source = 'api', action, revertedTo, after = snapshotTask(task),
+} = {}) {
+  const changes = diffSnapshots(before || snapshotTask({}), after);
+  if (changes.length === 0 && before) return null;
+
+  // Two writers racing for the same version: the unique index rejects the
+  // loser, which takes the next one
+  for (let attempt = 1; ; attempt++) {
+    const last = await TaskHistory.findOne({ task: task._id }).sort({ version: -1 }).select('version');
+    try {
+      return await TaskHistory.create({
+        task: task._id,
+        version: last ? last.version + 1 : 1,
+        user,
+        action: action || (before ? 'update' : 'create'),
+        source,
+        revertedTo,
+        changes,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_VERSION_RETRIES) throw error;
+    }
+  }
+}
+
+// Record the creation of many new tasks with a single insert
+async function recordCreations(tasks, { user, source = 'api' } = {}) {
+  if (tasks.length === 0) return;
+  const empty = snapshotTask({});
+  await TaskHistory.insertMany(tasks.map((task) => ({
+    task: task._id,
+    version: 1,
+    user,
+    action: 'create',
+    source,
+    changes: diffSnapshots(empty, snapshotTask(task)),
+  })));
+}
+
+// Tracked fields of a task as they were at `version`, worked out by undoing
+// every later change on top of its current state
+async function getStateAtVersion(task, version) {
+  const later = await TaskHistory.find({ task: task._id, version: { $gt: version } })
+    .sort({ version: -1 });
+  const state = snapshotTask(task);
+  for (const entry of later) {
+    for (const change of entry.changes) {
+      state[change.field] = change.from;
+    }
+  }
+  return state;
+}
+
+// Put the revertible fields of a task document back to a snapshot
+function applySnapshot(task, snapshot) {
+  for (const field of REVERTIBLE_FIELDS) {
+    // Unset fields go back to their schema default, e.g. an empty list
+    const value = snapshot[field] === null ? task.schema.path(field).getDefault(task) : snapshot[field];
+    task.set(field, value);
+  }
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotTask,
+  recordChanges,
+  recordCreations,
+  getStateAtVersion,
+  applySnapshot,
+};
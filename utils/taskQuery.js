@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { accessFilter, getProjectIds } = require('./permissions');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const STATUSES = ['pending', 'completed', 'overdue'];
+const PRIORITIES = ['low', 'medium', 'high'];
+const SORT_FIELDS = [
+  'dueDate', 'createdAt', 'updatedAt', 'completedAt', 'title',
+  'priority', 'status', 'category', 'estimatedMinutes', 'relevance',
+];
+// Stored field behind each sortable name; priority sorts by rank, not alphabetically
+const SORT_PATHS = { priority: 'priorityRank', relevance: 'score' };
+
+class TaskQueryError extends Error {}
+
+function list(value) {
+  if (value === undefined || value === '') return null;
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function enumList(value, allowed, name) {
+  const items = list(value);
+  if (!items) return null;
+  if (!items.every((item) => allowed.includes(item))) {
+    throw new TaskQueryError(`Invalid ${name}`);
+  }
+  return items;
+}
+
+function dateParam(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new TaskQueryError(`Invalid ${name}`);
+  }
+  return date;
+}
+
+function dateRange(from, to) {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+}
+
+// Mongo filter for the tasks a user can see (their own, those assigned to
+// them and those of `projectIds`) from query-string style parameters: project
+// (an id or "none"), assignee (a user id, "me" or "none"), status, priority, category (comma-separated), dueFrom/dueTo,
+// completedFrom/completedTo and q (full-text over title and description).
+// Throws TaskQueryError for invalid values
+function buildTaskFilter(userId, query = {}, projectIds = []) {
+  // Spelled out because aggregation skips the model's trash filter
+  const filter = { ...accessFilter(userId, projectIds), deletedAt: null };
+
+  if (query.project === 'none') {
+    filter.project = null;
+  } else if (query.project) {
+    if (!mongoose.isValidObjectId(query.project)) {
+      throw new TaskQueryError('Invalid project');
+    }
+    filter.project = new mongoose.Types.ObjectId(query.project);
+  }
+
+  if (query.assignee === 'none') {
+    filter['assignees.0'] = { $exists: false };
+  } else if (query.assignee) {
+    const assignee = query.assignee === 'me' ? userId : query.assignee;
+    if (!mongoose.isValidObjectId(assignee)) {
+      throw new TaskQueryError('Invalid assignee');
+    }
+    filter.assignees = new mongoose.Types.ObjectId(assignee.toString());
+  }
+
+  const statuses = enumList(query.status, STATUSES, 'status');
+  if (statuses) filter.status = { $in: statuses };
+
+  const priorities = enumList(query.priority, PRIORITIES, 'priority');
+  if (priorities) filter.priority = { $in: priorities };
+
+  const categories = list(query.category);
+  if (categories) filter.category = { $in: categories };
+
+  const due = dateRange(dateParam(query.dueFrom, 'dueFrom'), dateParam(query.dueTo, 'dueTo'));
+  if (due) filter.dueDate = due;
+
+  const completed = dateRange(
+    dateParam(query.completedFrom, 'completedFrom'),
+    dateParam(query.completedTo, 'completedTo')
+  );
+  if (completed) filter.completedAt = completed;
+
+  if (typeof query.q === 'string' && query.q.trim()) {
+    filter.$text = { $search: query.q.trim() };
+  }
+
+  return filter;
+}
+
+// "priority,-dueDate" -> [['priorityRank', 1], ['dueDate', -1], ['_id', -1]]
+function parseSort(value, hasText) {
+  const fields = list(value) || [hasText ? '-relevance' : 'dueDate'];
+  const sort = fields.map((field) => {
+    const direction = field.startsWith('-') ? -1 : 1;
+    const name = field.replace(/^[-+]/, '');
+    if (!SORT_FIELDS.includes(name) || (name === 'relevance' && !hasText)) {
+      throw new TaskQueryError(`Invalid sort field ${name}`);
+    }
+    return [SORT_PATHS[name] || name, direction];
+  });
+
+  // _id makes the order total so cursors never skip or repeat tasks
+  return [...sort, ['_id', sort[sort.length - 1][1]]];
+}
+
+// Cursors carry the sort values of the last task on the page
+function encodeCursor(doc, sort) {
+  const values = sort.map(([path]) => {
+    const value = doc[path];
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+    return value ?? null;
+  });
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    throw new TaskQueryError('Invalid cursor');
+  }
+  if (!Array.isArray(values) || values.length !== sort.length) {
+    throw new TaskQueryError('Invalid cursor');
+  }
+  return values.map((value) => {
+    if (value && value.$date) return new Date(value.$date);
+    if (value && value.$oid) {
+      if (!mongoose.isValidObjectId(value.$oid)) throw new TaskQueryError('Invalid cursor');
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    return value;
+  });
+}
+
+// Condition for documents strictly after the cursor in sort order. Nulls sort
+// before every other value, as in Mongo
+function afterCursor(sort, values) {
+  const clauses = [];
+  for (let i = 0; i < sort.length; i++) {
+    const equal = {};
+    for (let j = 0; j < i; j++) equal[sort[j][0]] = values[j];
+
+    const [path, direction] = sort[i];
+    const value = values[i];
+    let after;
+    if (direction === 1) {
+      after = value === null ? { [path]: { $ne: null } } : { [path]: { $gt: value } };
+    } else {
+      if (value === null) continue;
+      after = { $or: [{ [path]: { $lt: value } }, { [path]: null }] };
+    }
+    clauses.push({ ...equal, ...after });
+  }
+  return { $or: clauses };
+}
+
+// One page of the tasks a user can see plus the total number matching the filter
+async function findTaskPage(userId, query = {}) {
+  const filter = buildTaskFilter(userId, query, await getProjectIds(userId));
+  const hasText = Boolean(filter.$text);
+  const sort = parseSort(query.sort, hasText);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const pipeline = [
+    // $text has to be the first stage
+    { $match: filter },
+    {
+      $addFields: {
+        priorityRank: { $indexOfArray: [PRIORITIES, '$priority'] },
+        ...(hasText ? { score: { $meta: 'textScore' } } : {}),
+      },
+    },
+  ];
+  if (query.cursor) {
+    pipeline.push({ $match: afterCursor(sort, decodeCursor(query.cursor, sort)) });
+  }
+  // Fetch one extra to know whether there is another page
+  pipeline.push({ $sort: Object.fromEntries(sort) }, { $limit: limit + 1 });
+
+  const [docs, total] = await Promise.all([
+    Task.aggregate(pipeline),
+    Task.countDocuments(filter),
+  ]);
+
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+
+  return {
+    tasks: page.map(({ priorityRank, score, ...doc }) => Task.hydrate(doc)),
+    total,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+  };
+}
+
+module.exports = {
+  TaskQueryError,
+  buildTaskFilter,
+  findTaskPage,
+};
@@ -1,11 +1,134 @@
+const os = require('os');
 const schedule = require('node-schedule');
 const Task = require('../models/Task');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const ReminderJob = require('../models/ReminderJob');
+const { getBlockers } = require('./dependencies');
+const { getResponsibleUsers, responsibleFilter } = require('./assignments');
+const { getRetentionDays, purgeTasks } = require('./trash');
+const { getReminderOffsets } = require('./reminders');
+const { getNotificationChannels } = require('./notificationChannels');
+const { EmailService } = require('../services/email');
+const { PushService } = require('../services/push');
+const {
+  getZonedParts,
+  zonedTimeToDate,
+  formatInTimeZone,
+  parseClockTime,
+  isInQuietHours,
+  getQuietHoursEnd,
+} = require('./timezone');
+
+const DEFAULT_POLL_INTERVAL_MS = 15000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30 * 1000;
+// Local-time jobs are checked on this cadence, so they fire within
+// LOCAL_TICK_MINUTES of their target time even in half-hour zones
+const LOCAL_TICK_MINUTES = 15;
+const OVERDUE_CHECK_HOUR = 20;
+const DIGEST_UPCOMING_DAYS = 7;
+// Server-local time of the nightly trash purge
+const PURGE_CRON = '0 3 * * *';
+const PRIORITIES = ['high', 'medium', 'low'];
+// Undelivered notifications replayed when a client connects: at most this
+// many, from at most this far back
+const REPLAY_LIMIT = 100;
+const REPLAY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Notification types pushed to a user's devices when none of their clients
+// is connected, with the title each push shows
+const PUSH_TITLES = {
+  reminder: 'Task reminder',
+  overdue: 'Overdue tasks'
+};
+
+function formatOffset(minutes) {
+  const units = [['day', 24 * 60], ['hour', 60], ['minute', 1]];
+  for (const [unit, size] of units) {
+    if (minutes >= size && minutes % size === 0) {
+      const count = minutes / size;
+      return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+  }
+  return `${minutes} minutes`;
+}
+
+// Reminders that would land in quiet hours wait until they end, unless the
+// task is high priority
+function deferForQuietHours(date, user, task) {
+  const quietHours = user.notificationSettings?.quietHours;
+  if (task.priority === 'high' || !isInQuietHours(date, user.timezone, quietHours)) {
+    return date;
+  }
+  return getQuietHoursEnd(date, user.timezone, quietHours);
+}
+
+// Whether a local "HH:MM" time falls in the tick starting at `parts`
+function isDueThisTick(parts, time) {
+  const target = parseClockTime(time);
+  const minutes = parts.hour * 60 + parts.minute;
+  return target !== null && minutes >= target && minutes < target + LOCAL_TICK_MINUTES;
+}
+
+function summarizeTask(task) {
+  return {
+    _id: task._id,
+    title: task.title,
+    dueDate: task.dueDate,
+    priority: task.priority,
+    status: task.status
+  };
+}
+
+// What clients receive in the `notification` event
+function buildNotificationPayload(notification, extra = {}) {
+  return {
+    _id: notification._id,
+    type: notification.type,
+    message: notification.message,
+    data: notification.data,
+    createdAt: notification.createdAt,
+    read: notification.read,
+    ...extra
+  };
+}
+
+// What the service worker shows; tagged by task so a newer reminder for the
+// same task replaces the older one
+function buildPushPayload(notification, extra) {
+  return {
+    title: PUSH_TITLES[notification.type],
+    body: notification.message,
+    tag: extra.task ? `task:${extra.task._id}` : notification.type,
+    data: {
+      notificationId: notification._id,
+      type: notification.type,
+      task: extra.task?._id
+    }
+  };
+}
+
+function groupByPriority(tasks) {
+  const groups = {};
+  for (const priority of PRIORITIES) {
+    groups[priority] = tasks.filter(task => task.priority === priority).map(summarizeTask);
+  }
+  return groups;
+}
 
 class TaskScheduler {
-  constructor() {
+  // Without email or push services notifications are only delivered to
+  // connected clients; without a webhook dispatcher none are sent to webhooks
+  constructor({ emailService = new EmailService(), pushService = new PushService(), webhooks = null } = {}) {
     this.jobs = new Map();
+    this.emailService = emailService;
+    this.pushService = pushService;
+    this.webhooks = webhooks;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollInterval = parseInt(process.env.REMINDER_POLL_INTERVAL_MS, 10) || DEFAULT_POLL_INTERVAL_MS;
+    this.pollTimer = null;
+    this.polling = false;
   }
 
   async init() {
@@ -17,155 +140,543 @@ class TaskScheduler {
       // Schedule end-of-day overdue task check for all users
       this.scheduleOverdueTaskCheck();
 
-      // Get all tasks and schedule notifications
-      const tasks = await Task.find({}).populate('user');
-      for (const task of tasks) {
-        await this.scheduleTaskNotifications(task._id);
-      }
+      // Empty trashed tasks past their retention period every night
+      this.scheduleTrashPurge();
+
+      // Start the reminder worker; its first poll catches up on anything
+      // that came due while the process was down
+      this.startWorker();
       console.log('Task scheduler initialized');
     } catch (error) {
       console.error('Error initializing task scheduler:', error);
     }
   }
 
-  scheduleOverdueTaskCheck() {
-    // Schedule to run at 8:00 PM every day
-    const job = schedule.scheduleJob('0 20 * * *', async () => {
-      try {
-        // Get all users with notifications enabled
-        const users = await User.find({
-          'notificationSettings.enabled': true
-        });
+  startWorker() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.processDueReminders(), this.pollInterval);
+    this.processDueReminders();
+  }
 
-        for (const user of users) {
-          // Get overdue tasks for this user
-          const overdueTasks = await Task.find({
-            user: user._id,
-            status: { $ne: 'completed' },
-            dueDate: { $lt: new Date() }
-          });
-
-          if (overdueTasks.length > 0) {
-            // Create notification for overdue tasks
-            const notification = await Notification.create({
-              user: user._id,
-              type: 'overdue',
-              message: `You have ${overdueTasks.length} overdue task${overdueTasks.length > 1 ? 's' : ''}. Please review and update their status.`,
-              read: false
-            });
-
-            // Send real-time notification
-            if (global.io) {
-              global.io.to(user._id.toString()).emit('notification', {
-                _id: notification._id,
-                type: 'overdue',
-                message: notification.message,
-                createdAt: notification.createdAt,
-                read: false,
-                tasks: overdueTasks.map(task => ({
-                  _id: task._id,
-                  title: task.title,
-                  dueDate: task.dueDate,
-                  priority: task.priority
-                }))
-              });
-              console.log(`Sent overdue tasks notification to user ${user._id}`);
-            }
-          }
+  stopWorker() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  // Deliver a stored notification on the user's channels (their sockets'
+  // room, or push when no socket is connected; email; or both) and to their
+  // webhooks, and record when it went out; `extra` adds populated details
+  // such as the task summary
+  async sendNotification(notification, extra = {}) {
+    const now = new Date();
+    notification.sentAt = now;
+
+    const payload = buildNotificationPayload(notification, extra);
+
+    const user = await User.findById(notification.user).select('name email timezone notificationSettings');
+    const channels = getNotificationChannels(user, notification.type);
+
+    // Email-only users still find the notification in their list, it just
+    // isn't pushed to their open clients or replayed when they connect.
+    // deliveredAt is set when a client acknowledges it (notificationReceived)
+    notification.inApp = channels.inApp;
+    if (channels.inApp) {
+      let connected = false;
+      if (global.io) {
+        const room = notification.user.toString();
+        global.io.to(room).emit('notification', payload);
+        connected = Boolean(global.io.sockets.adapter.rooms.get(room)?.size);
+      } else {
+        console.error('Socket.IO instance not found');
+      }
+
+      // No client has the app open, so time-sensitive alerts go to the
+      // user's devices instead
+      if (!connected && PUSH_TITLES[notification.type] && this.pushService.enabled) {
+        try {
+          const pushed = await this.pushService.sendToUser(notification.user, buildPushPayload(notification, extra));
+          if (pushed > 0) notification.pushedAt = now;
+        } catch (error) {
+          console.error('Error sending push notification:', error);
         }
+      }
+    }
+
+    // A failed email doesn't hold up the other channels or retry the notification
+    if (channels.email && this.emailService.enabled) {
+      try {
+        await this.emailService.sendNotificationEmail(notification, { user, extra });
+        notification.emailedAt = new Date();
       } catch (error) {
-        console.error('Error checking overdue tasks:', error);
+        console.error('Error sending notification email:', error);
       }
-    });
+    }
 
-    this.jobs.set('overdueCheck', job);
-    console.log('Scheduled daily overdue task check for 8:00 PM');
+    this.webhooks?.dispatchNotification(notification.user, notification.type, payload);
+
+    await notification.save();
   }
 
-  async scheduleTaskNotifications(taskId) {
-    try {
-      const task = await Task.findById(taskId).populate('user');
-      if (!task) return;
+  // Re-emit, oldest first, the in-app notifications a newly authenticated
+  // socket's user hasn't acknowledged or read yet. Replays carry replayed: true
+  async replayNotifications(socket, userId) {
+    const notifications = await Notification.find({
+      user: userId,
+      inApp: { $ne: false },
+      sentAt: { $ne: null },
+      deliveredAt: null,
+      read: false,
+      createdAt: { $gte: new Date(Date.now() - REPLAY_MAX_AGE_MS) }
+    })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(REPLAY_LIMIT)
+      .populate('task', 'title dueDate priority status');
 
-      // Cancel existing jobs for this task
-      if (this.jobs.has(taskId)) {
-        this.jobs.get(taskId).cancel();
-        this.jobs.delete(taskId);
-      }
+    for (const notification of notifications.reverse()) {
+      const extra = { replayed: true };
+      if (notification.task) extra.task = summarizeTask(notification.task);
+      if (notification.data?.tasks) extra.tasks = notification.data.tasks;
+      socket.emit('notification', buildNotificationPayload(notification, extra));
+    }
+    return notifications.length;
+  }
 
-      // Get user's notification settings
-      const user = await User.findById(task.user._id);
-      if (!user?.notificationSettings?.enabled) return;
-      if (!user.notificationSettings.priorities.includes(task.priority)) return;
+  // Atomically claim the next due reminder, including ones whose lock went stale
+  claimNextReminder() {
+    const now = new Date();
+    return ReminderJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', runAt: { $lte: now } },
+          { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedBy: this.workerId, lockedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async processDueReminders() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      let job;
+      while ((job = await this.claimNextReminder())) {
+        await this.runReminder(job);
+      }
+    } catch (error) {
+      console.error('Error processing reminders:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
 
-      const dueDate = new Date(task.dueDate);
-      const reminderTime = user.notificationSettings.reminderTime || 2; // default 2 hours
-      const reminderDate = new Date(dueDate.getTime() - (reminderTime * 60 * 60 * 1000));
+  async runReminder(job) {
+    try {
+      const task = await Task.findById(job.task);
+      const user = await User.findById(job.user);
 
-      // Don't schedule if the reminder time has already passed
-      if (reminderDate <= new Date()) return;
+      // The task may have been completed, deleted or become blocked since
+      // the reminder was queued
+      const blocked = task && (await getBlockers(task)).length > 0;
+      if (!task || !user || task.status === 'completed' || blocked) {
+        await ReminderJob.updateOne(
+          { _id: job._id, lockedBy: this.workerId },
+          { status: 'cancelled', lockedBy: null, lockedAt: null }
+        );
+        return;
+      }
 
-      console.log(`Scheduling notification for task ${task.title} at ${reminderDate}`);
+      // A reminder caught up after downtime, or whose user changed their
+      // quiet hours, may now fall inside them
+      const now = new Date();
+      const deliverAt = deferForQuietHours(now, user, task);
+      if (deliverAt > now) {
+        await ReminderJob.updateOne(
+          { _id: job._id, lockedBy: this.workerId },
+          { status: 'pending', runAt: deliverAt, lockedBy: null, lockedAt: null, $inc: { attempts: -1 } }
+        );
+        return;
+      }
 
-      // Schedule reminder notification
-      const job = schedule.scheduleJob(reminderDate, async () => {
-        try {
-          // Create notification in database
-          const notification = await Notification.create({
-            user: task.user._id,
+      // Upsert on the job id so a retried delivery reuses the same notification
+      const notification = await Notification.findOneAndUpdate(
+        { reminderJob: job._id },
+        {
+          $setOnInsert: {
+            user: job.user,
             task: task._id,
             type: 'reminder',
-            message: `Task "${task.title}" is due in ${reminderTime} hours`,
+            message: job.message,
+            scheduledFor: job.runAt,
             read: false
-          });
-
-          // Send real-time notification
-          if (global.io) {
-            global.io.to(task.user._id.toString()).emit('notification', {
-              _id: notification._id,
-              type: 'reminder',
-              task: {
-                _id: task._id,
-                title: task.title,
-                dueDate: task.dueDate,
-                priority: task.priority
-              },
-              message: `Task "${task.title}" is due in ${reminderTime} hours`,
-              createdAt: notification.createdAt,
-              read: false
-            });
-            console.log(`Sent reminder notification for task ${task.title}`);
-          } else {
-            console.error('Socket.IO instance not found');
           }
-        } catch (error) {
-          console.error('Error sending notification:', error);
+        },
+        { upsert: true, new: true }
+      );
+
+      // Only the worker still holding the lock may complete the job
+      const completed = await ReminderJob.findOneAndUpdate(
+        { _id: job._id, lockedBy: this.workerId, status: 'processing' },
+        { status: 'completed', completedAt: new Date(), lockedBy: null, lockedAt: null },
+        { new: true }
+      );
+      if (!completed) {
+        // Cancelled while we were working on it: drop the unsent notification
+        const current = await ReminderJob.findById(job._id).select('status');
+        if (current?.status === 'cancelled') {
+          await Notification.deleteOne({ _id: notification._id, sentAt: null });
+        }
+        return;
+      }
+
+      await this.sendNotification(notification, { task: summarizeTask(task) });
+      console.log(`Sent reminder notification for task ${task.title}`);
+    } catch (error) {
+      console.error('Error sending notification:', error);
+      const failed = job.attempts >= MAX_ATTEMPTS;
+      await ReminderJob.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          status: failed ? 'failed' : 'pending',
+          runAt: failed ? job.runAt : new Date(Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1)),
+          lastError: error.message,
+          lockedBy: null,
+          lockedAt: null
+        }
+      ).catch(err => console.error('Error releasing reminder job:', err));
+    }
+  }
+
+  scheduleOverdueTaskCheck() {
+    // Tick regularly and run each user's jobs when their local clock gets there
+    const job = schedule.scheduleJob(`*/${LOCAL_TICK_MINUTES} * * * *`, () => this.runLocalTimeJobs());
+
+    this.jobs.set('overdueCheck', job);
+    console.log(`Scheduled daily overdue task check for ${OVERDUE_CHECK_HOUR}:00 in each user's time zone`);
+  }
+
+  scheduleTrashPurge() {
+    const job = schedule.scheduleJob(PURGE_CRON, () => this.purgeTrash());
+
+    this.jobs.set('trashPurge', job);
+    console.log(`Scheduled nightly purge of tasks trashed more than ${getRetentionDays()} days ago`);
+  }
+
+  async purgeTrash(now = new Date()) {
+    try {
+      const cutoff = new Date(now.getTime() - getRetentionDays() * 24 * 60 * 60 * 1000);
+      const tasks = await Task.find({ deletedAt: { $lte: cutoff } }).select('_id');
+      if (tasks.length === 0) return;
+
+      await purgeTasks(tasks.map(task => task._id));
+      console.log(`Purged ${tasks.length} task(s) from the trash`);
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  }
+
+  async runLocalTimeJobs(now = new Date()) {
+    try {
+      // Get all users with notifications enabled
+      const users = await User.find({
+        'notificationSettings.enabled': true
+      });
+
+      for (const user of users) {
+        const parts = getZonedParts(now, user.timezone);
+        if (parts.hour === OVERDUE_CHECK_HOUR && parts.minute < LOCAL_TICK_MINUTES) {
+          await this.checkOverdueTasks(user);
         }
+
+        const digest = user.notificationSettings.digest;
+        if (digest?.daily?.enabled && isDueThisTick(parts, digest.daily.time)) {
+          await this.sendDigest(user, 'daily', now);
+        }
+        if (
+          digest?.weekly?.enabled &&
+          parts.weekday === digest.weekly.day &&
+          isDueThisTick(parts, digest.weekly.time)
+        ) {
+          await this.sendDigest(user, 'weekly', now);
+        }
+      }
+    } catch (error) {
+      console.error('Error running local time jobs:', error);
+    }
+  }
+
+  async checkOverdueTasks(user) {
+    try {
+      // Get overdue tasks this user is responsible for
+      const overdueTasks = await Task.find({
+        ...responsibleFilter(user._id),
+        status: { $ne: 'completed' },
+        dueDate: { $lt: new Date() }
       });
 
-      this.jobs.set(taskId, job);
+      if (overdueTasks.length > 0) {
+        // Create notification for overdue tasks
+        const tasks = overdueTasks.map(summarizeTask);
+        const notification = await Notification.create({
+          user: user._id,
+          type: 'overdue',
+          message: `You have ${overdueTasks.length} overdue task${overdueTasks.length > 1 ? 's' : ''}. Please review and update their status.`,
+          data: { tasks },
+          scheduledFor: new Date(),
+          read: false
+        });
+
+        await this.sendNotification(notification, { tasks });
+        console.log(`Sent overdue tasks notification to user ${user._id}`);
+      }
+    } catch (error) {
+      console.error('Error checking overdue tasks:', error);
+    }
+  }
+
+  // Overdue, due-today and upcoming tasks, each grouped by priority
+  async buildDigest(user, now = new Date()) {
+    const today = getZonedParts(now, user.timezone);
+    const startOfToday = zonedTimeToDate({ year: today.year, month: today.month, day: today.day }, user.timezone);
+    const tomorrow = getZonedParts(new Date(startOfToday.getTime() + 36 * 60 * 60 * 1000), user.timezone);
+    const endOfToday = zonedTimeToDate({ year: tomorrow.year, month: tomorrow.month, day: tomorrow.day }, user.timezone);
+    const upcomingUntil = new Date(endOfToday.getTime() + DIGEST_UPCOMING_DAYS * 24 * 60 * 60 * 1000);
+
+    const tasks = await Task.find({
+      ...responsibleFilter(user._id),
+      status: { $ne: 'completed' },
+      dueDate: { $lt: upcomingUntil }
+    }).sort({ dueDate: 1 });
+
+    return {
+      overdue: groupByPriority(tasks.filter(task => task.dueDate < now)),
+      dueToday: groupByPriority(tasks.filter(task => task.dueDate >= now && task.dueDate < endOfToday)),
+      upcoming: groupByPriority(tasks.filter(task => task.dueDate >= endOfToday))
+    };
+  }
+
+  createDigestMessage(user, period, digest) {
+    const sections = [
+      ['Overdue', 'overdue', digest.overdue],
+      ['Due today', 'due today', digest.dueToday],
+      [`Next ${DIGEST_UPCOMING_DAYS} days`, 'upcoming', digest.upcoming]
+    ];
+    const count = groups => PRIORITIES.reduce((sum, priority) => sum + groups[priority].length, 0);
+
+    const lines = [
+      `${period === 'weekly' ? 'Weekly' : 'Daily'} digest: ${sections.map(([, summary, groups]) => `${count(groups)} ${summary}`).join(', ')}`
+    ];
+    for (const [label, , groups] of sections) {
+      if (count(groups) === 0) continue;
+      lines.push(`${label}:`);
+      for (const priority of PRIORITIES) {
+        for (const task of groups[priority]) {
+          lines.push(`- [${priority}] ${task.title} (${formatInTimeZone(task.dueDate, user.timezone)})`);
+        }
+      }
+    }
+    return lines.join('\n');
+  }
+
+  async sendDigest(user, period, now = new Date()) {
+    try {
+      const digest = await this.buildDigest(user, now);
+      const empty = Object.values(digest).every(groups =>
+        PRIORITIES.every(priority => groups[priority].length === 0)
+      );
+      if (empty) return;
+
+      const notification = await Notification.create({
+        user: user._id,
+        type: 'digest',
+        message: this.createDigestMessage(user, period, digest),
+        data: { period, ...digest },
+        scheduledFor: now,
+        read: false
+      });
+
+      await this.sendNotification(notification);
+      console.log(`Sent ${period} digest to user ${user._id}`);
+    } catch (error) {
+      console.error('Error sending digest:', error);
+    }
+  }
+
+  // Reminder job documents for a task whose user and assignees are
+  // populated; empty when the task shouldn't get reminders
+  async buildReminderJobs(task) {
+    if (task.status === 'completed') return [];
+
+    // Blocked tasks get their reminders once the last blocker is done
+    if ((await getBlockers(task)).length > 0) return [];
+
+    // Each assignee is reminded according to their own settings
+    return getResponsibleUsers(task).flatMap(user => this.buildUserReminderJobs(task, user));
+  }
+
+  buildUserReminderJobs(task, user) {
+    if (!user?.notificationSettings?.enabled) return [];
+
+    const dueDate = new Date(task.dueDate);
+    const now = new Date();
+    const reminders = [];
+
+    for (const minutes of getReminderOffsets(task, user)) {
+      reminders.push({
+        runAt: new Date(dueDate.getTime() - (minutes * 60 * 1000)),
+        message: `Task "${task.title}" is due in ${formatOffset(minutes)}`
+      });
+    }
+
+    // Absolute reminder set on the task itself
+    if (task.reminderTime) {
+      reminders.push({
+        runAt: new Date(task.reminderTime),
+        message: `Reminder: task "${task.title}" is due ${formatInTimeZone(dueDate, user.timezone)}`
+      });
+    }
+
+    // Don't schedule reminders whose time has already passed
+    return reminders
+      .filter(reminder => reminder.runAt > now)
+      .map(reminder => ({
+        task: task._id,
+        user: user._id,
+        type: 'reminder',
+        message: reminder.message,
+        runAt: deferForQuietHours(reminder.runAt, user, task)
+      }));
+  }
+
+  async scheduleTaskNotifications(taskId) {
+    try {
+      const task = await Task.findById(taskId).populate('user assignees');
+      if (!task) return;
+
+      // Replace any reminders still queued for this task
+      await this.cancelTaskNotifications(taskId);
+
+      const jobs = await this.buildReminderJobs(task);
+      if (jobs.length === 0) return;
+
+      console.log(`Scheduling ${jobs.length} notification(s) for task ${task.title}`);
+      await ReminderJob.insertMany(jobs);
     } catch (error) {
       console.error('Error scheduling notifications:', error);
     }
   }
 
-  async rescheduleAllNotifications(userId) {
+  // Reschedule many tasks at once with a single cancel and a single insert
+  async rescheduleTasks(taskIds) {
     try {
-      const tasks = await Task.find({ user: userId });
+      if (taskIds.length === 0) return;
+      await this.cancelTaskNotifications(taskIds);
+
+      const tasks = await Task.find({ _id: { $in: taskIds } }).populate('user assignees');
+      const jobs = [];
       for (const task of tasks) {
-        await this.scheduleTaskNotifications(task._id);
+        jobs.push(...await this.buildReminderJobs(task));
       }
+      if (jobs.length === 0) return;
+
+      console.log(`Scheduling ${jobs.length} notification(s) for ${tasks.length} task(s)`);
+      await ReminderJob.insertMany(jobs);
     } catch (error) {
       console.error('Error rescheduling notifications:', error);
     }
   }
 
-  cancelTaskNotifications(taskId) {
-    if (this.jobs.has(taskId)) {
-      this.jobs.get(taskId).cancel();
-      this.jobs.delete(taskId);
+  async rescheduleAllNotifications(userId) {
+    try {
+      const tasks = await Task.find(responsibleFilter(userId)).select('_id');
+      await this.rescheduleTasks(tasks.map(task => task._id));
+    } catch (error) {
+      console.error('Error rescheduling notifications:', error);
+    }
+  }
+
+  // Tell the task's assignees its last blocker is done and schedule its reminders
+  async notifyTaskUnblocked(task) {
+    try {
+      await this.scheduleTaskNotifications(task._id);
+
+      for (const user of getResponsibleUsers(task)) {
+        const notification = await Notification.create({
+          user,
+          task: task._id,
+          type: 'unblocked',
+          message: `Task "${task.title}" is no longer blocked and can be started`,
+          scheduledFor: new Date(),
+          read: false
+        });
+
+        await this.sendNotification(notification, { task: summarizeTask(task) });
+      }
+    } catch (error) {
+      console.error('Error sending unblocked notification:', error);
+    }
+  }
+
+  // Tell users they were assigned to or taken off a task
+  async notifyAssignment(task, userIds, type, byName) {
+    try {
+      const message = type === 'assigned'
+        ? `${byName} assigned you to "${task.title}"`
+        : `${byName} removed you from "${task.title}"`;
+
+      for (const user of userIds) {
+        const notification = await Notification.create({
+          user,
+          task: task._id,
+          type,
+          message,
+          scheduledFor: new Date(),
+          read: false
+        });
+
+        await this.sendNotification(notification, { task: summarizeTask(task) });
+      }
+    } catch (error) {
+      console.error('Error sending assignment notification:', error);
+    }
+  }
+
+  // Tell users they were @mentioned in a comment on a task
+  async notifyMention(task, comment, userIds, authorName) {
+    try {
+      for (const user of userIds) {
+        const notification = await Notification.create({
+          user,
+          task: task._id,
+          type: 'mention',
+          message: `${authorName} mentioned you on "${task.title}"`,
+          data: { comment: comment._id, body: comment.body },
+          scheduledFor: new Date(),
+          read: false
+        });
+
+        await this.sendNotification(notification, { task: summarizeTask(task) });
+      }
+    } catch (error) {
+      console.error('Error sending mention notification:', error);
     }
   }
+
+  // Accepts a single task id or an array of them. Jobs a worker has already
+  // claimed are cancelled too; clearing the lock stops that worker from
+  // completing them, so they aren't sent at the old time
+  async cancelTaskNotifications(taskIds) {
+    await ReminderJob.updateMany(
+      { task: { $in: [].concat(taskIds) }, status: { $in: ['pending', 'processing'] } },
+      { status: 'cancelled', lockedBy: null, lockedAt: null }
+    );
+  }
 }
 
 module.exports = TaskScheduler; 
\ No newline at end of file
@@ -0,0 +1,145 @@
+const { zonedTimeToDate, DEFAULT_TIME_ZONE } = require('./timezone');
+const { DEFAULT_DUE_HOUR } = require('./quickAdd');
+
+// Columns of a task export, in order. Lists are joined with ";" in CSV
+const EXPORT_FIELDS = [
+  'id', 'title', 'description', 'dueDate', 'priority', 'status', 'category',
+  'estimatedMinutes', 'completedAt', 'reminderOffsets', 'reminderTime',
+  'project', 'assignees', 'createdAt', 'updatedAt',
+];
+
+// Fields an import may set; everything else about a task is the system's
+const IMPORT_FIELDS = [
+  'title', 'description', 'dueDate', 'priority', 'status', 'category',
+  'estimatedMinutes', 'completedAt', 'reminderOffsets', 'reminderTime',
+];
+
+// Other column names recognised without an explicit mapping
+const FIELD_ALIASES = {
+  name: 'title',
+  task: 'title',
+  notes: 'description',
+  due: 'dueDate',
+  duedate: 'dueDate',
+  deadline: 'dueDate',
+  estimate: 'estimatedMinutes',
+  estimatedminutes: 'estimatedMinutes',
+  completed: 'completedAt',
+  completedat: 'completedAt',
+  reminders: 'reminderOffsets',
+  reminderoffsets: 'reminderOffsets',
+  remindertime: 'reminderTime',
+};
+
+const LIST_SEPARATOR = ';';
+
+class TaskImportError extends Error {}
+
+function exportValue(task, field) {
+  if (field === 'id') return task._id.toString();
+  const value = task[field];
+  if (Array.isArray(value)) return value.map(String);
+  if (value && typeof value === 'object' && !(value instanceof Date)) return value.toString();
+  return value ?? null;
+}
+
+// Plain object of the export columns for a task
+function exportTask(task) {
+  return Object.fromEntries(EXPORT_FIELDS.map((field) => [field, exportValue(task, field)]));
+}
+
+// CSV cells for a task, in EXPORT_FIELDS order
+function exportRow(task) {
+  return EXPORT_FIELDS.map((field) => {
+    const value = exportValue(task, field);
+    return Array.isArray(value) ? value.join(LIST_SEPARATOR) : value;
+  });
+}
+
+function defaultField(column) {
+  const key = column.trim().toLowerCase().replace(/[\s_-]+/g, '');
+  const field = IMPORT_FIELDS.find((name) => name.toLowerCase() === key);
+  return field || FIELD_ALIASES[key] || null;
+}
+
+// Which field each column fills. An explicit { column: field } mapping wins;
+// other columns are matched by name, and columns mapped to null or not
+// recognised are ignored. Throws TaskImportError for unknown target fields
+function resolveMapping(columns, mapping = {}) {
+  if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+    throw new TaskImportError('mapping must be an object of column: field');
+  }
+  for (const [column, field] of Object.entries(mapping)) {
+    if (field !== null && !IMPORT_FIELDS.includes(field)) {
+      throw new TaskImportError(`Cannot map column "${column}" to unknown field "${field}"`);
+    }
+  }
+
+  const resolved = {};
+  for (const column of columns) {
+    const field = column in mapping ? mapping[column] : defaultField(column);
+    if (field) resolved[column] = field;
+  }
+  if (!Object.values(resolved).includes('title')) {
+    throw new TaskImportError('No column maps to title');
+  }
+  return resolved;
+}
+
+// A bare date is due at the same hour quick-add uses for a day without a time
+function parseDate(value, timeZone) {
+  if (value instanceof Date) return value;
+  const text = String(value).trim();
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (day) {
+    const [, year, month, date] = day.map(Number);
+    return zonedTimeToDate({ year, month, day: date, hour: DEFAULT_DUE_HOUR, minute: 0 }, timeZone);
+  }
+  // Invalid dates are left for schema validation to report
+  return new Date(text);
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value).split(LIST_SEPARATOR).map((item) => item.trim()).filter(Boolean);
+}
+
+function coerceField(field, value, timeZone) {
+  switch (field) {
+    case 'dueDate':
+    case 'completedAt':
+    case 'reminderTime':
+      return parseDate(value, timeZone);
+    case 'priority':
+    case 'status':
+      return String(value).trim().toLowerCase();
+    case 'reminderOffsets':
+      return parseList(value);
+    default:
+      return typeof value === 'string' ? value.trim() : value;
+  }
+}
+
+// Task fields from one imported record ({ column: value }). Empty cells are
+// left out so schema defaults apply
+function recordToFields(record, mapping, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const fields = {};
+  for (const [column, field] of Object.entries(mapping)) {
+    const value = record[column];
+    if (value === undefined || value === null || value === '') continue;
+    fields[field] = coerceField(field, value, timeZone);
+  }
+  if (fields.status === 'completed' && !fields.completedAt) {
+    fields.completedAt = new Date();
+  }
+  return fields;
+}
+
+module.exports = {
+  EXPORT_FIELDS,
+  TaskImportError,
+  exportTask,
+  exportRow,
+  resolveMapping,
+  recordToFields,
+};
@@ -0,0 +1,117 @@
+const DEFAULT_TIME_ZONE = 'UTC';
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of `date` in the given zone
+function getZonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short',
+  });
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+  };
+}
+
+// Milliseconds the zone is ahead of UTC at `date`
+function getOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+// The instant at which the zone's clock reads the given wall-clock time
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone = DEFAULT_TIME_ZONE) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - getOffset(new Date(guess), timeZone);
+  // Re-check once in case the first guess crossed a DST transition
+  const second = guess - getOffset(new Date(first), timeZone);
+  return new Date(second);
+}
+
+function formatInTimeZone(date, timeZone = DEFAULT_TIME_ZONE, options = {}) {
+  return new Date(date).toLocaleString('en-US', {
+    timeZone,
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    ...options,
+  });
+}
+
+// "HH:MM" to minutes after midnight
+function parseClockTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Whether `date` falls inside the user's quiet hours; windows may wrap midnight
+function isInQuietHours(date, timeZone, quietHours) {
+  if (!quietHours?.enabled) return false;
+  const start = parseClockTime(quietHours.start);
+  const end = parseClockTime(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const { hour, minute } = getZonedParts(date, timeZone);
+  const now = hour * 60 + minute;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// First moment after `date` when the user's quiet hours are over
+function getQuietHoursEnd(date, timeZone, quietHours) {
+  const end = parseClockTime(quietHours.end);
+  const parts = getZonedParts(date, timeZone);
+  const endToday = zonedTimeToDate({
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: Math.floor(end / 60),
+    minute: end % 60,
+  }, timeZone);
+  if (endToday > date) return endToday;
+
+  // Quiet hours that started this evening end tomorrow morning
+  const tomorrow = getZonedParts(new Date(date.getTime() + 24 * 60 * 60 * 1000), timeZone);
+  return zonedTimeToDate({
+    year: tomorrow.year,
+    month: tomorrow.month,
+    day: tomorrow.day,
+    hour: Math.floor(end / 60),
+    minute: end % 60,
+  }, timeZone);
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  formatInTimeZone,
+  parseClockTime,
+  isInQuietHours,
+  getQuietHoursEnd,
+};
@@ -0,0 +1,36 @@
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const TaskHistory = require('../models/TaskHistory');
+const ReminderJob = require('../models/ReminderJob');
+const Notification = require('../models/Notification');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Days a task stays in the trash before it is deleted for good
+function getRetentionDays() {
+  return parseInt(process.env.TRASH_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+}
+
+function getPurgeDate(task) {
+  return new Date(task.deletedAt.getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+}
+
+// Delete tasks for good, along with everything that refers to them
+async function purgeTasks(taskIds) {
+  if (taskIds.length === 0) return;
+  const ids = { $in: taskIds };
+
+  await Task.deleteMany({ _id: ids });
+  await Task.updateMany({ dependsOn: ids }, { $pull: { dependsOn: ids } })
+    .setOptions({ withDeleted: true });
+  await Comment.deleteMany({ task: ids });
+  await TaskHistory.deleteMany({ task: ids });
+  await ReminderJob.deleteMany({ task: ids });
+  await Notification.deleteMany({ task: ids });
+}
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  purgeTasks,
+};
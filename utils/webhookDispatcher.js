@@ -0,0 +1,236 @@
+const os = require('os');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { getTaskAudienceIds } = require('./permissions');
+
+const DEFAULT_POLL_INTERVAL_MS = 10000;
+const REQUEST_TIMEOUT_MS = 10000;
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+// Retries back off from 30 seconds to about an hour before giving up
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000;
+
+// Socket.IO task events and notification types that have a webhook counterpart
+const TASK_EVENT_WEBHOOKS = {
+  taskCreated: 'task.created',
+  taskUpdated: 'task.updated',
+  taskDeleted: 'task.deleted',
+};
+const NOTIFICATION_WEBHOOKS = {
+  reminder: 'reminder.fired',
+  overdue: 'task.overdue',
+};
+
+// Receivers recompute this over the X-Webhook-Timestamp header and the raw
+// body with their secret, and should reject stale timestamps
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// Addresses webhooks may not be delivered to: this host, private networks,
+// link-local (cloud metadata endpoints) and unique-local ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+class BlockedDestinationError extends Error {}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Resolve the webhook's host and refuse internal addresses, so users can't
+// make the server post to (and log responses from) services it can reach.
+// DNS failures are retried like any other delivery error
+async function checkDestination(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new BlockedDestinationError('Webhook URL resolves to a private or local address');
+  }
+}
+
+function toPlain(value) {
+  return value && typeof value.toJSON === 'function' ? value.toJSON() : value;
+}
+
+class WebhookDispatcher {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollInterval = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || DEFAULT_POLL_INTERVAL_MS;
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  startWorker() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.processDueDeliveries(), this.pollInterval);
+    this.processDueDeliveries();
+  }
+
+  stopWorker() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  // Queue a delivery of `event` to every active webhook of the given users
+  // that subscribes to it. Never throws, so callers can fire and forget
+  async dispatch(userIds, event, data) {
+    try {
+      const webhooks = await Webhook.find({ user: { $in: userIds }, active: true, events: event });
+      if (webhooks.length === 0) return;
+
+      await WebhookDelivery.insertMany(webhooks.map((webhook) => ({
+        webhook: webhook._id,
+        user: webhook.user,
+        event,
+        payload: toPlain(data),
+      })));
+      this.processDueDeliveries();
+    } catch (error) {
+      console.error(`Error queueing ${event} webhooks:`, error);
+    }
+  }
+
+  // Task events go to the webhooks of everyone who can see the task. Takes a
+  // Socket.IO task event such as taskUpdated, or task.completed; events with
+  // no webhook counterpart are ignored
+  async dispatchTaskEvent(task, event) {
+    const webhookEvent = event === 'task.completed' ? event : TASK_EVENT_WEBHOOKS[event];
+    if (!webhookEvent) return;
+    try {
+      const userIds = await getTaskAudienceIds(task);
+      await this.dispatch(userIds, webhookEvent, task);
+    } catch (error) {
+      console.error(`Error queueing ${webhookEvent} webhooks:`, error);
+    }
+  }
+
+  // Notification payloads are what the user's sockets receive
+  async dispatchNotification(userId, type, payload) {
+    const event = NOTIFICATION_WEBHOOKS[type];
+    if (event) await this.dispatch([userId], event, payload);
+  }
+
+  // Queue a fresh copy of an earlier delivery, whatever its outcome
+  async redeliver(delivery) {
+    const copy = await WebhookDelivery.create({
+      webhook: delivery.webhook,
+      user: delivery.user,
+      event: delivery.event,
+      payload: delivery.payload,
+      redeliveryOf: delivery._id,
+    });
+    this.processDueDeliveries();
+    return copy;
+  }
+
+  // Atomically claim the next due delivery, including ones whose lock went stale
+  claimNextDelivery() {
+    const now = new Date();
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+        ],
+      },
+      {
+        $set: { status: 'processing', lockedBy: this.workerId, lockedAt: now },
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  async processDueDeliveries() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      let delivery;
+      while ((delivery = await this.claimNextDelivery())) {
+        await this.deliver(delivery);
+      }
+    } catch (error) {
+      console.error('Error processing webhook deliveries:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async deliver(delivery) {
+    const release = (update) => WebhookDelivery.updateOne(
+      { _id: delivery._id, lockedBy: this.workerId },
+      { ...update, lockedBy: null, lockedAt: null }
+    ).catch((error) => console.error('Error releasing webhook delivery:', error));
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook || !webhook.active) {
+      await release({ status: 'failed', lastError: 'Webhook was deleted or disabled' });
+      return;
+    }
+
+    // The delivery id doubles as an idempotency key for receivers
+    const body = JSON.stringify({
+      id: delivery._id,
+      event: delivery.event,
+      createdAt: delivery.createdAt,
+      data: delivery.payload,
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let responseStatus;
+    try {
+      await checkDestination(webhook.url);
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SmartTaskManager-Webhooks/1.0',
+          'X-Webhook-Id': webhook._id.toString(),
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      responseStatus = response.status;
+      // Only the status matters; drop the body without reading it
+      response.body?.cancel().catch(() => {});
+      if (!response.ok) {
+        throw new Error(`Endpoint responded with ${response.status}`);
+      }
+    } catch (error) {
+      // Blocked destinations won't become deliverable by retrying
+      const failed = error instanceof BlockedDestinationError || delivery.attempts >= MAX_ATTEMPTS;
+      await release({
+        status: failed ? 'failed' : 'pending',
+        nextAttemptAt: failed
+          ? delivery.nextAttemptAt
+          : new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1)),
+        responseStatus,
+        lastError: error.name === 'TimeoutError' ? 'Request timed out' : error.message,
+      });
+      return;
+    }
+
+    await release({ status: 'succeeded', responseStatus, deliveredAt: new Date(), lastError: null });
+  }
+}
+
+module.exports = WebhookDispatcher;